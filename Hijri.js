@@ -0,0 +1,226 @@
+/**
+ * Gregorian to Hijri (lunar) and inverse date converter.
+ *
+ * <p>Three algorithms are available:
+ * <ul>
+ * <li>'tabular': the arithmetic Islamic calendar, with 11 leap years in each 30-year cycle (default).</li>
+ * <li>'ummalqura': the Umm al-Qura calendar of Saudi Arabia, read from Intl.DateTimeFormat.</li>
+ * <li>'iranian': the tabular calendar corrected by {@link Ext.Date.HijriConverter#adjustments adjustments}, for
+ * the official calendar of Iran, which is based on sighting of the moon.</li>
+ * </ul>
+ */
+(function () {
+    var tabularMonthStart, monthAlgorithm, intlFormatter,
+        ummalquraStarts = {};
+
+    /**
+     * Returns the day number of the first day of a month in the tabular Islamic calendar.
+     * @param {Number} hy Hijri year.
+     * @param {Number} hm Hijri month (1-based).
+     * @return {Number} Day number.
+     */
+    tabularMonthStart = function (hy, hm) {
+        var div = Ext.Date.JalaliConverter.div;
+        return Math.ceil(29.5 * (hm - 1)) + (hy - 1) * 354 + div(3 + 11 * hy, 30) + 1948440;
+    };
+
+    /**
+     * Builds an algorithm from a function returning the day number of the first day of a Hijri month.
+     * @param {Function} monthStart Function that takes a Hijri year and month (1-based) and returns a day number.
+     * It should not be more than a few days away from the tabular calendar.
+     * @return {Object} An algorithm with gregorianToHijri, hijriToGregorian and daysInMonth methods.
+     */
+    monthAlgorithm = function (monthStart) {
+        return {
+            monthStart: monthStart,
+
+            gregorianToHijri: function (g) {
+                var converter = Ext.Date.JalaliConverter,
+                    day_no = converter.gregorianToDayNumber(g),
+                    hy = converter.div(30 * (day_no - 1948440) + 10646, 10631),
+                    hm = Math.max(1, Math.min(12, Math.ceil((day_no - 29 - tabularMonthStart(hy, 1)) / 29.5) + 1)),
+                    start = this.monthStart(hy, hm),
+                    next;
+
+                while (day_no < start) {
+                    hm -= 1;
+                    if (hm < 1) {
+                        hm = 12;
+                        hy -= 1;
+                    }
+                    start = this.monthStart(hy, hm);
+                }
+                for (;;) {
+                    next = hm === 12 ? this.monthStart(hy + 1, 1) : this.monthStart(hy, hm + 1);
+                    if (day_no < next) {
+                        break;
+                    }
+                    start = next;
+                    hm += 1;
+                    if (hm > 12) {
+                        hm = 1;
+                        hy += 1;
+                    }
+                }
+
+                return [hy, hm, day_no - start + 1];
+            },
+
+            hijriToGregorian: function (h) {
+                return Ext.Date.JalaliConverter.dayNumberToGregorian(this.monthStart(h[0], h[1]) + h[2] - 1);
+            },
+
+            daysInMonth: function (hy, hm) {
+                var next = hm === 12 ? this.monthStart(hy + 1, 1) : this.monthStart(hy, hm + 1);
+                return next - this.monthStart(hy, hm);
+            }
+        };
+    };
+
+    /**
+     * Returns the Hijri year, month and day of a day number using Intl.DateTimeFormat.
+     * @param {Number} day_no Day number.
+     * @param {String} calendar Unicode calendar name, like 'islamic-umalqura'.
+     * @return {Array} An array containing Hijri year, month and date.
+     */
+    intlFormatter = function (day_no, calendar) {
+        var g = Ext.Date.JalaliConverter.dayNumberToGregorian(day_no),
+            formatters = Ext.Date.HijriConverter.formatters,
+            date = new Date(Date.UTC(2000, 0, 1)),
+            parts = {},
+            list,
+            i;
+
+        if (typeof Intl === 'undefined' || !Intl.DateTimeFormat.prototype.formatToParts) {
+            Ext.Error.raise('Hijri calendar is not supported in this browser: ' + calendar);
+        }
+        if (!formatters[calendar]) {
+            formatters[calendar] = new Intl.DateTimeFormat('en-u-ca-' + calendar, {
+                timeZone: 'UTC',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric'
+            });
+        }
+        date.setUTCFullYear(g[0], g[1] - 1, g[2]);
+        list = formatters[calendar].formatToParts(date);
+        for (i = 0; i < list.length; i += 1) {
+            parts[list[i].type] = parseInt(list[i].value, 10);
+        }
+        return [parts.year, parts.month, parts.day];
+    };
+
+    Ext.define('Ext.ux.Hijri', {
+        override: 'Ext.Date',
+        requires: ['Ext.ux.Jalali'],
+
+        HijriConverter: {
+            /**
+             * Name of the algorithm used for conversions, one of the keys of algorithms: 'tabular' (default),
+             * 'ummalqura' or 'iranian'. Set it once, before converting dates.
+             */
+            algorithm: 'tabular',
+
+            /**
+             * Corrections of the 'iranian' algorithm. Keys are Hijri year and month (1-based), like '1445/9', and
+             * values are the number of days added to the first day of that month in the tabular calendar. Add
+             * entries from the official calendar of each year:
+             * <pre><code>
+             Ext.apply(Ext.Date.HijriConverter.adjustments, {
+                 '1445/9': 1,
+                 '1445/10': 1
+             });
+             * </code></pre>
+             */
+            adjustments: {},
+
+            /**
+             * Cached Intl.DateTimeFormat instances, by calendar name.
+             * @private
+             */
+            formatters: {},
+
+            /**
+             * Returns the selected algorithm.
+             * @return {Object} The algorithm named by the algorithm property.
+             */
+            getAlgorithm: function () {
+                var converter = Ext.Date.HijriConverter,
+                    algorithm = converter.algorithms[converter.algorithm];
+                if (!algorithm) {
+                    Ext.Error.raise('Unknown Hijri algorithm: ' + converter.algorithm);
+                }
+                return algorithm;
+            },
+
+            /**
+             * Converts a Gregorian date to Hijri using the selected algorithm.
+             * @param {Array} g An array containing Gregorian year, month and date.
+             * @return {Array} An array containing Hijri year, month and date.
+             */
+            gregorianToHijri: function (g) {
+                return Ext.Date.HijriConverter.getAlgorithm().gregorianToHijri(g);
+            },
+
+            /**
+             * Converts a Hijri date to Gregorian using the selected algorithm.
+             * @param {Array} h An array containing Hijri year, month and date.
+             * @return {Array} An array containing Gregorian year, month and date.
+             */
+            hijriToGregorian: function (h) {
+                return Ext.Date.HijriConverter.getAlgorithm().hijriToGregorian(h);
+            },
+
+            /**
+             * Returns the number of days in a Hijri month using the selected algorithm.
+             * @param {Number} hy Hijri year.
+             * @param {Number} hm Hijri month (1-based).
+             * @return {Number} 29 or 30.
+             */
+            daysInMonth: function (hy, hm) {
+                return Ext.Date.HijriConverter.getAlgorithm().daysInMonth(hy, hm);
+            },
+
+            /**
+             * Available algorithms. Each one has gregorianToHijri, hijriToGregorian and daysInMonth methods.
+             * Custom algorithms may be added here and selected with the algorithm property.
+             */
+            algorithms: {
+                /**
+                 * The tabular Islamic calendar. Leap years are 2, 5, 7, 10, 13, 16, 18, 21, 24, 26 and 29 of each
+                 * 30-year cycle, and the epoch is Friday, 16 July 622 (Julian).
+                 */
+                tabular: monthAlgorithm(tabularMonthStart),
+
+                /**
+                 * The Umm al-Qura calendar. Conversions need Intl.DateTimeFormat with Islamic calendars.
+                 */
+                ummalqura: monthAlgorithm(function (hy, hm) {
+                    var cache = ummalquraStarts,
+                        key = hy * 12 + hm,
+                        day_no,
+                        h,
+                        i;
+
+                    if (cache[key] === undefined) {
+                        day_no = tabularMonthStart(hy, hm);
+                        h = intlFormatter(day_no, 'islamic-umalqura');
+                        for (i = 0; i < 5 && (h[0] !== hy || h[1] !== hm); i += 1) {
+                            day_no += h[0] * 12 + h[1] < key ? 31 - h[2] : -h[2];
+                            h = intlFormatter(day_no, 'islamic-umalqura');
+                        }
+                        cache[key] = day_no - h[2] + 1;
+                    }
+                    return cache[key];
+                }),
+
+                /**
+                 * The official calendar of Iran: the tabular calendar with adjustments.
+                 */
+                iranian: monthAlgorithm(function (hy, hm) {
+                    return tabularMonthStart(hy, hm) + (Ext.Date.HijriConverter.adjustments[hy + '/' + hm] || 0);
+                })
+            }
+        }
+    });
+}());
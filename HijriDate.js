@@ -0,0 +1,141 @@
+/**
+ * Instruments Ext.Date object and adds support for Hijri (lunar) calendar to it, next to Jalali calendar.
+ *
+ * <p>Examples:
+ * <pre><code>
+ var date = new Date();
+ console.log(Ext.Date.getHijriFullYear(date)); // current year in Hijri calendar
+ console.log(Ext.Date.getHijriMonth(date)); // current month in Hijri calendar (0-based)
+ console.log(Ext.Date.format(date, 'r e B (x X I)')); // both calendars, like 20 Esfand 1402 (29 Shaban 1445)
+ * </code></pre>
+ * Conversions use the algorithm selected by {@link Ext.Date.HijriConverter#algorithm}.
+ */
+(function () {
+    Ext.define('Ext.ux.HijriDate', {
+        override: 'Ext.Date',
+        requires: ['Ext.ux.Hijri', 'Ext.ux.JalaliDate'],
+
+        /**
+         * Creates a new date instance based on the provided Hijri year, month (0-based) and date.
+         * The time is set to 12:00.
+         * @param {Number} year Hijri full year.
+         * @param {Number} month Hijri month (0-based).
+         * @param {Number} date Hijri date.
+         * @return {Date} The date.
+         */
+        createHijri: function (year, month, date) {
+            var g = Ext.Date.HijriConverter.hijriToGregorian([year, month + 1, date]),
+                result = new Date(2000, 0, 1, 12);
+            result.setFullYear(g[0], g[1] - 1, g[2]);
+            return result;
+        },
+
+        /**
+         * Converts a Gregorian date to Hijri date.
+         * @param {Date} date The Gregorian date.
+         * @return {Object} An object with hijriYear, hijriMonth (0-based) and hijriDate properties.
+         */
+        convertToHijri: function (date) {
+            var h = Ext.Date.HijriConverter.gregorianToHijri([date.getFullYear(), date.getMonth() + 1, date.getDate()]);
+            return {
+                hijriYear: h[0],
+                hijriMonth: h[1] - 1,
+                hijriDate: h[2]
+            };
+        },
+
+        /**
+         * Returns the Hijri year.
+         * @param {Date} date The date
+         * @return {Number} Hijri full year.
+         */
+        getHijriFullYear: function (date) {
+            return Ext.Date.convertToHijri(date).hijriYear;
+        },
+
+        /**
+         * Returns the Hijri month.
+         * @param {Date} date The date
+         * @return {Number} Hijri month (0-based).
+         */
+        getHijriMonth: function (date) {
+            return Ext.Date.convertToHijri(date).hijriMonth;
+        },
+
+        /**
+         * Returns the Hijri day of month.
+         * @param {Date} date The date
+         * @return {Number} Hijri date.
+         */
+        getHijriDate: function (date) {
+            return Ext.Date.convertToHijri(date).hijriDate;
+        },
+
+        /**
+         * Returns the number of days in the current Hijri month.
+         * @param {Date} date The date
+         * @return {Number} 29 or 30.
+         */
+        getHijriDaysInMonth: function (date) {
+            var hd = Ext.Date.convertToHijri(date);
+            return Ext.Date.HijriConverter.daysInMonth(hd.hijriYear, hd.hijriMonth + 1);
+        },
+
+        /**
+         * Month names of Hijri calendar. Override this for localization.
+         */
+        hijriMonthNames: [
+            'Muharram',
+            'Safar',
+            'Rabi al-Awwal',
+            'Rabi al-Thani',
+            'Jumada al-Awwal',
+            'Jumada al-Thani',
+            'Rajab',
+            'Shaban',
+            'Ramadan',
+            'Shawwal',
+            'Dhu al-Qadah',
+            'Dhu al-Hijjah'
+        ]
+    }, function () {
+        /**
+         * Hijri format codes. They can be mixed with Jalali and Gregorian codes in a format.
+         * <pre><code>
+         Format  Description                                                          Example returned values
+         ------  -------------------------------------------------------------------  -----------------------
+           x     Hijri day of the month without leading zeros                         1 to 30
+           v     Numeric representation of Hijri month, 2 digits with leading zeros   01 to 12
+           X     Full textual representation of Hijri month                           Muharram to Dhu al-Hijjah
+           I     Full numeric representation of Hijri year                            1445
+         * </code></pre>
+         * Numeric codes are written in the digit set selected by {@link Ext.Date#jalaliDigits}. Example usage:
+         * <pre><code>
+         var d = new Date();
+         console.log(Ext.Date.format(d, 'Hijri'));               // 1445/08/29
+         console.log(Ext.Date.format(d, 'r e B - x X I'));       // 20 Esfand 1402 - 29 Shaban 1445
+         * </code></pre>
+         * Hijri codes are not supported in parsing.
+         */
+        Ext.apply(Ext.Date.formatCodes, {
+            x: "Ext.Date.toJalaliDigits(Ext.Date.getHijriDate(this))",
+            v: "Ext.Date.toJalaliDigits(Ext.String.leftPad(Ext.Date.getHijriMonth(this) + 1, 2, '0'))",
+            X: "Ext.Date.hijriMonthNames[Ext.Date.getHijriMonth(this)]",
+            I: "Ext.Date.toJalaliDigits(Ext.Date.getHijriFullYear(this))"
+        });
+
+        Ext.apply(Ext.Date.formatFunctions, {
+            /**
+             * Formats date instances using Hijri format (like: "1445/08/29"), in the digit set selected by
+             * {@link Ext.Date#jalaliDigits}.
+             * @return {String} Textual representation of Hijri date.
+             */
+            'Hijri': function () {
+                var hd = Ext.Date.convertToHijri(this);
+                return Ext.Date.toJalaliDigits(hd.hijriYear + '/' +
+                        Ext.String.leftPad(hd.hijriMonth + 1, 2, '0') + '/' +
+                        Ext.String.leftPad(hd.hijriDate, 2, '0'));
+            }
+        });
+    });
+}());
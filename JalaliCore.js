@@ -0,0 +1,1706 @@
+/* Jalali.js  Gregorian to Jalali and inverse date converter
+ * Copyright (C) 2001  Roozbeh Pournader <roozbeh@sharif.edu>
+ * Copyright (C) 2001  Mohammad Toossi <mohammad@bamdad.org>
+ * Copyright (C) 2003,2008  Behdad Esfahbod <js@behdad.org>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU Lesser General Public
+ * License as published by the Free Software Foundation; either
+ * version 2.1 of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You can receive a copy of GNU Lesser General Public License at the
+ * World Wide Web address <http://www.gnu.org/licenses/lgpl.html>.
+ *
+ * For licensing issues, contact The FarsiWeb Project Group,
+ * Computing Center, Sharif University of Technology,
+ * PO Box 11365-8515, Tehran, Iran, or contact us the
+ * email address <FWPG@sharif.edu>.
+ */
+
+/* Changes:
+ * 2026-Oct-18:
+ *   Move the converter, validation, arithmetic, formatting and parsing to
+ *   this framework-free module (UMD, CommonJS and ESM). Jalali.js and
+ *   JalaliDate.js are now adapters of it for Ext.Date.
+ *
+ *   Add pluggable algorithms (arithmetic, 2820-year cycle and astronomical)
+ *   and a configurable range of supported years.
+ *
+ * 2013-May-25:
+ *   Move JalaliConverter to Ext.Date.
+ *
+ * 2010-Sep-19:
+ *   Some minor changes to names of functions for better naming conventions.
+ *   Also redundant functions removed to prevent namespace pollution.
+ *
+ * 2008-Jul-32:
+ *   Use a remainder() function to fix conversion of ancient dates
+ *   (before 1600 gregorian).  Reported by Shamim Rezaei.
+ *
+ * 2003-Mar-29:
+ *   Ported to javascript by Behdad Esfahbod
+ *
+ * 2001-Sep-21:
+ *   Fixed a bug with "30 Esfand" dates, reported by Mahmoud Ghandi
+ *
+ * 2001-Sep-20:
+ *   First LGPL release, with both sides of conversions
+ */
+
+/**
+ * Framework-free core of Jalali dates: the converter, validation, arithmetic, formatting and parsing. It has no
+ * dependencies and works as a plain script (defining the JalaliCore global), as an AMD or CommonJS module, and as an
+ * ES module through JalaliCore.mjs:
+ * <pre><code>
+ var JalaliCore = require('./JalaliCore.js'),
+     date = JalaliCore.fromJalali(1402, 4, 3);
+ console.log(JalaliCore.format(date, 'r e B'));                         // 3 Amordad 1402
+ console.log(JalaliCore.format(JalaliCore.add(date, 'mo', 1), 'B/Q/R')); // 1402/06/03
+ console.log(JalaliCore.parse('1402-05-03', 'B-Q-R'));
+ * </code></pre>
+ * Names and digits of formatting and parsing are taken from an options object (monthNames, shortMonthNames,
+ * dayNames, seasonNames, monthAliases, digits, startDay and relativeTexts), falling back to {@link #defaults}.
+ * Jalali.js and JalaliDate.js adapt it to Ext.Date.
+ */
+(function (root, factory) {
+    var core = factory();
+    if (typeof define === 'function' && define.amd) {
+        define(function () {
+            return core;
+        });
+    }
+    if (typeof module === 'object' && module.exports) {
+        module.exports = core;
+    } else {
+        root.JalaliCore = core;
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    var equinoxTerms, nowruzAlgorithm, converter, core,
+        emptyFn, apply, pad, escapeRegex, namesRegex, getOptions, getToday, fullYear,
+        utcDate, zoneOffset, toWallClock, fromWallClock, formatJalali,
+        timeUnits = {ms: 1, s: 1000, mi: 60000, h: 3600000},
+        parsers = {},
+        zoneFormatters = {};
+
+    /**
+     * Does nothing, for parse codes that are matched but not stored.
+     */
+    emptyFn = function () {
+        return;
+    };
+
+    /**
+     * Copies the defined properties of source to target.
+     * @param {Object} target The target object.
+     * @param {Object} source The source object.
+     * @return {Object} The target object.
+     */
+    apply = function (target, source) {
+        var key;
+        for (key in source) {
+            if (source.hasOwnProperty(key) && source[key] !== undefined) {
+                target[key] = source[key];
+            }
+        }
+        return target;
+    };
+
+    /**
+     * Pads a number with leading zeros.
+     * @param {Number/String} value The value.
+     * @param {Number} length Minimum length.
+     * @return {String} The padded value.
+     */
+    pad = function (value, length) {
+        value = String(value);
+        while (value.length < length) {
+            value = '0' + value;
+        }
+        return value;
+    };
+
+    /**
+     * Escapes characters of a string that are special in regular expressions.
+     * @param {String} value The string.
+     * @return {String} The escaped string.
+     */
+    escapeRegex = function (value) {
+        return value.replace(/([\-.*+?\^${}()|\[\]\/\\])/g, '\\$1');
+    };
+
+    /**
+     * Builds a regular expression group matching any of the names, longest first.
+     * @param {String[]} names Names to match.
+     * @return {String} The regular expression.
+     */
+    namesRegex = function (names) {
+        names = names.map(escapeRegex);
+        names.sort(function (a, b) {
+            return b.length - a.length;
+        });
+        return '(' + names.join('|') + ')';
+    };
+
+    /**
+     * Returns formatting and parsing options, completed by the defaults.
+     * @param {Object} options (optional) The options.
+     * @return {Object} A new object with all options.
+     */
+    getOptions = function (options) {
+        return apply(apply({}, core.defaults), options);
+    };
+
+    /**
+     * Returns the Jalali date of the reference date of the options, which is the current date by default.
+     * @param {Object} options The options.
+     * @return {Object} with jalaliYear, jalaliMonth (0-based) and jalaliDate properties.
+     */
+    getToday = function (options) {
+        return core.toJalali(options.now || new Date());
+    };
+
+    /**
+     * Returns the full Jalali year of a two-digit year, within the 100 years ending twoDigitYearPivot years after
+     * the current Jalali year.
+     * @param {Number} year The two-digit year.
+     * @param {Object} options The options.
+     * @return {Number} The full year.
+     */
+    fullYear = function (year, options) {
+        var last = getToday(options).jalaliYear + options.twoDigitYearPivot,
+            result = last - last % 100 + year;
+        return result > last ? result - 100 : result;
+    };
+
+    /**
+     * Creates a date from UTC fields. Unlike Date.UTC, years 0 to 99 are not mapped to 1900 to 1999.
+     * @return {Date} The date.
+     */
+    utcDate = function (year, month, date, hours, minutes, seconds, milliseconds) {
+        var d = new Date(Date.UTC(2000, 0, 1, hours || 0, minutes || 0, seconds || 0, milliseconds || 0));
+        d.setUTCFullYear(year, month, date);
+        return d;
+    };
+
+    /**
+     * Returns the offset of a time zone from UTC at a moment.
+     * @param {Number} time The moment, in milliseconds since epoch.
+     * @param {Number/String} timeZone Offset in minutes or an IANA time zone name.
+     * @return {Number} Offset in minutes, positive for east of Greenwich.
+     */
+    zoneOffset = function (time, timeZone) {
+        var parts = {},
+            formatter, list, i;
+
+        if (typeof timeZone === 'number') {
+            return timeZone;
+        }
+        if (typeof Intl === 'undefined' || !Intl.DateTimeFormat.prototype.formatToParts) {
+            throw new Error('Time zone names are not supported in this environment: ' + timeZone);
+        }
+        formatter = zoneFormatters[timeZone];
+        if (!formatter) {
+            formatter = zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        list = formatter.formatToParts(new Date(time));
+        for (i = 0; i < list.length; i += 1) {
+            parts[list[i].type] = parseInt(list[i].value, 10);
+        }
+        return Math.round((utcDate(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute,
+                parts.second) - Math.floor(time / 1000) * 1000) / 60000);
+    };
+
+    /**
+     * Returns a date whose UTC fields are the wall clock of a date in a time zone.
+     * @param {Date} date The date.
+     * @param {Number/String} timeZone (optional) Offset in minutes or an IANA time zone name. Defaults to local time.
+     * @return {Date} The wall clock date.
+     */
+    toWallClock = function (date, timeZone) {
+        if (timeZone === undefined || timeZone === null) {
+            return utcDate(date.getFullYear(), date.getMonth(), date.getDate(),
+                    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+        }
+        return new Date(date.getTime() + zoneOffset(date.getTime(), timeZone) * 60000);
+    };
+
+    /**
+     * Returns the date of a wall clock in a time zone. Reverse of toWallClock.
+     * @param {Date} wall The wall clock date, in UTC fields.
+     * @param {Number/String} timeZone (optional) Offset in minutes or an IANA time zone name. Defaults to local time.
+     * @return {Date} The date.
+     */
+    fromWallClock = function (wall, timeZone) {
+        var d, time;
+        if (timeZone === undefined || timeZone === null) {
+            d = new Date(2000, 0, 1, wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(),
+                wall.getUTCMilliseconds());
+            d.setFullYear(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+            return d;
+        }
+        time = wall.getTime();
+        return new Date(time - zoneOffset(time - zoneOffset(time, timeZone) * 60000, timeZone) * 60000);
+    };
+
+    /**
+     * Formats a date like "1389/06/14".
+     * @param {Date} date The date.
+     * @param {String} digits Name of the digit set.
+     * @return {String} The formatted date.
+     */
+    formatJalali = function (date, digits) {
+        var jd = core.toJalali(date);
+        return core.toDigits(jd.jalaliYear + '/' + pad(jd.jalaliMonth + 1, 2) + '/' + pad(jd.jalaliDate, 2), digits);
+    };
+
+    /* Periodic terms of the March equinox (Meeus, Astronomical Algorithms, table 27.C). */
+    equinoxTerms = [
+        [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186], [182, 27.85, 445267.112],
+        [156, 73.14, 45036.886], [136, 171.52, 22518.443], [77, 222.54, 65928.934], [74, 296.72, 3034.906],
+        [70, 243.58, 9037.513], [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.232],
+        [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417], [18, 155.12, 67555.328],
+        [17, 288.79, 4562.452], [16, 198.04, 62894.029], [14, 199.76, 31436.921], [12, 95.39, 14577.848],
+        [12, 287.11, 31931.756], [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+    ];
+
+    /**
+     * Builds an algorithm from a function returning the day number of Nowruz (1 Farvardin) of a Jalali year.
+     * @param {Function} nowruz Function that takes a Jalali year and returns a day number.
+     * @return {Object} An algorithm with gregorianToJalali, jalaliToGregorian and isLeapYear methods.
+     */
+    nowruzAlgorithm = function (nowruz) {
+        return {
+            nowruz: nowruz,
+
+            gregorianToJalali: function (g) {
+                var jy, jm, jd, start,
+                    day_no = converter.gregorianToDayNumber(g);
+
+                jy = g[0] - 621;
+                start = this.nowruz(jy);
+                if (day_no < start) {
+                    jy -= 1;
+                    start = this.nowruz(jy);
+                }
+                day_no -= start;
+
+                if (day_no < 186) {
+                    jm = Math.floor(day_no / 31) + 1;
+                    jd = day_no % 31 + 1;
+                } else {
+                    day_no -= 186;
+                    jm = Math.min(Math.floor(day_no / 30), 5) + 7;
+                    jd = day_no - (jm - 7) * 30 + 1;
+                }
+
+                return [jy, jm, jd];
+            },
+
+            jalaliToGregorian: function (j) {
+                var day_no = this.nowruz(j[0]) + j[2] - 1;
+                if (j[1] <= 7) {
+                    day_no += (j[1] - 1) * 31;
+                } else {
+                    day_no += (j[1] - 1) * 30 + 6;
+                }
+                return converter.dayNumberToGregorian(day_no);
+            },
+
+            isLeapYear: function (jy) {
+                return this.nowruz(jy + 1) - this.nowruz(jy) === 366;
+            }
+        };
+    };
+
+    /**
+     * Gregorian to Jalali and inverse date converter, with pluggable algorithms.
+     */
+    converter = {
+        gregorianDaysInMonth: [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
+        jalaliDaysInMonth: [31, 31, 31, 31, 31, 31, 30, 30, 30, 30, 30, 29],
+
+        /**
+         * Name of the algorithm used for conversions and leap years, one of the keys of algorithms:
+         * 'arithmetic' (33-year rule, default), 'cycle2820' (2820-year cycle) or 'astronomical'
+         * (observed Nowruz dates with an astronomical fallback). Set it once, before converting dates.
+         */
+        algorithm: 'arithmetic',
+
+        /**
+         * Smallest Jalali year accepted by validation and parsing.
+         */
+        minYear: 1,
+
+        /**
+         * Largest Jalali year accepted by validation and parsing.
+         */
+        maxYear: 1500,
+
+        div: function (a, b) {
+            return Math.floor(a / b);
+        },
+
+        remainder: function (a, b) {
+            return a - Math.floor(a / b) * b;
+        },
+
+        /**
+         * Converts a Gregorian date to its day number (Julian day number).
+         * @param {Array} g An array containing Gregorian year, month and date.
+         * @return {Number} Day number.
+         */
+        gregorianToDayNumber: function (g) {
+            var div = converter.div,
+                a = div(14 - g[1], 12),
+                y = g[0] + 4800 - a,
+                m = g[1] + 12 * a - 3;
+
+            return g[2] + div(153 * m + 2, 5) + 365 * y + div(y, 4) - div(y, 100) + div(y, 400) - 32045;
+        },
+
+        /**
+         * Converts a day number (Julian day number) to a Gregorian date.
+         * @param {Number} n Day number.
+         * @return {Array} An array containing Gregorian year, month and date.
+         */
+        dayNumberToGregorian: function (n) {
+            var div = converter.div,
+                a = n + 32044,
+                b = div(4 * a + 3, 146097),
+                c = a - div(146097 * b, 4),
+                d = div(4 * c + 3, 1461),
+                e = c - div(1461 * d, 4),
+                m = div(5 * e + 2, 153);
+
+            return [100 * b + d - 4800 + div(m, 10), m + 3 - 12 * div(m, 10), e - div(153 * m + 2, 5) + 1];
+        },
+
+        /**
+         * Returns the selected algorithm.
+         * @return {Object} The algorithm named by the algorithm property.
+         */
+        getAlgorithm: function () {
+            var algorithm = converter.algorithms[converter.algorithm];
+            if (!algorithm) {
+                throw new Error('Unknown Jalali algorithm: ' + converter.algorithm);
+            }
+            return algorithm;
+        },
+
+        /**
+         * Converts a Gregorian date to Jalali using the selected algorithm.
+         * @param {Array} g An array containing Gregorian year, month and date.
+         * @return {Array} An array containing Jalali year, month and date.
+         */
+        gregorianToJalali: function (g) {
+            return converter.getAlgorithm().gregorianToJalali(g);
+        },
+
+        /**
+         * Converts a Jalali date to Gregorian using the selected algorithm.
+         * @param {Array} j An array containing Jalali year, month and date.
+         * @return {Array} An array containing Gregorian year, month and date.
+         */
+        jalaliToGregorian: function (j) {
+            return converter.getAlgorithm().jalaliToGregorian(j);
+        },
+
+        /**
+         * Checks if a Jalali year is a leap year using the selected algorithm.
+         * @param {Number} jy Jalali year.
+         * @return {Boolean} True if the year has 366 days.
+         */
+        isLeapYear: function (jy) {
+            return converter.getAlgorithm().isLeapYear(jy);
+        },
+
+        /**
+         * Available algorithms. Each one has gregorianToJalali, jalaliToGregorian and isLeapYear methods.
+         * Custom algorithms may be added here and selected with the algorithm property.
+         */
+        algorithms: {
+            /**
+             * The 33-year arithmetic rule of farsiweb.info.
+             */
+            arithmetic: {
+                /**
+                 * Converts a Gregorian date to Jalali.
+                 * @param {Array} g An array containing Gregorian year, month and date.
+                 * @return {Array} An array containing Jalali year, month and date.
+                 */
+                gregorianToJalali: function (g) {
+                    var gy, gm, gd,
+                        jy, jm, jd,
+                        g_day_no, j_day_no,
+                        j_np, i, div, remainder,
+                        g_days_in_month, j_days_in_month;
+
+                    gy = g[0] - 1600;
+                    gm = g[1] - 1;
+                    gd = g[2] - 1;
+
+                    div = converter.div;
+                    remainder = converter.remainder;
+                    g_days_in_month = converter.gregorianDaysInMonth;
+                    j_days_in_month = converter.jalaliDaysInMonth;
+
+                    g_day_no = 365 * gy + div((gy + 3), 4) - div((gy + 99), 100) + div((gy + 399), 400);
+                    for (i = 0; i < gm; i += 1) {
+                        g_day_no += g_days_in_month[i];
+                    }
+                    if (gm > 1 && ((gy % 4 === 0 && gy % 100 !== 0) || (gy % 400 === 0))) {
+                        /* leap and after Feb */
+                        g_day_no += 1;
+                    }
+                    g_day_no += gd;
+
+                    j_day_no = g_day_no - 79;
+
+                    j_np = div(j_day_no, 12053);
+                    j_day_no = remainder(j_day_no, 12053);
+
+                    jy = 979 + 33 * j_np + 4 * div(j_day_no, 1461);
+                    j_day_no = remainder(j_day_no, 1461);
+
+                    if (j_day_no >= 366) {
+                        jy += div((j_day_no - 1), 365);
+                        j_day_no = remainder((j_day_no - 1), 365);
+                    }
+
+                    for (i = 0; i < 11 && j_day_no >= j_days_in_month[i]; i += 1) {
+                        j_day_no -= j_days_in_month[i];
+                    }
+                    jm = i + 1;
+                    jd = j_day_no + 1;
+
+                    return [jy, jm, jd];
+                },
+
+                /**
+                 * Converts a Jalali date to Gregorian.
+                 * @param {Array} j An array containing Jalali year, month and date.
+                 * @return {Array} An array containing Gregorian year, month and date.
+                 */
+                jalaliToGregorian: function (j) {
+                    var gy, gm, gd,
+                        jy, jm, jd,
+                        g_day_no, j_day_no,
+                        leap, i, div, remainder,
+                        g_days_in_month, j_days_in_month;
+
+                    jy = j[0] - 979;
+                    jm = j[1] - 1;
+                    jd = j[2] - 1;
+
+                    div = converter.div;
+                    remainder = converter.remainder;
+                    g_days_in_month = converter.gregorianDaysInMonth;
+                    j_days_in_month = converter.jalaliDaysInMonth;
+
+                    j_day_no = 365 * jy + div(jy, 33) * 8 + div((remainder(jy, 33) + 3), 4);
+                    for (i = 0; i < jm; i += 1) {
+                        j_day_no += j_days_in_month[i];
+                    }
+
+                    j_day_no += jd;
+
+                    g_day_no = j_day_no + 79;
+
+                    gy = 1600 + 400 * div(g_day_no, 146097);
+                    /* 146097 = 365*400 + 400/4 - 400/100 + 400/400 */
+                    g_day_no = remainder(g_day_no, 146097);
+
+                    leap = 1;
+                    if (g_day_no >= 36525) { /* 36525 = 365*100 + 100/4 */
+                        g_day_no -= 1;
+                        gy += 100 * div(g_day_no, 36524);
+                        /* 36524 = 365*100 + 100/4 - 100/100 */
+                        g_day_no = remainder(g_day_no, 36524);
+
+                        if (g_day_no >= 365) {
+                            g_day_no += 1;
+                        } else {
+                            leap = 0;
+                        }
+                    }
+
+                    gy += 4 * div(g_day_no, 1461);
+                    /* 1461 = 365*4 + 4/4 */
+                    g_day_no = remainder(g_day_no, 1461);
+
+                    if (g_day_no >= 366) {
+                        leap = 0;
+
+                        g_day_no -= 1;
+                        gy += div(g_day_no, 365);
+                        g_day_no = remainder(g_day_no, 365);
+                    }
+
+                    for (i = 0; g_day_no >= g_days_in_month[i] + (i === 1 && leap); i += 1) {
+                        g_day_no -= g_days_in_month[i] + (i === 1 && leap);
+                    }
+                    gm = i + 1;
+                    gd = g_day_no + 1;
+
+                    return [gy, gm, gd];
+                },
+
+                /**
+                 * Checks if a Jalali year is a leap year.
+                 * @param {Number} jy Jalali year.
+                 * @return {Boolean} True if the year has 366 days.
+                 */
+                isLeapYear: function (jy) {
+                    var div = converter.div,
+                        remainder = converter.remainder,
+                        leapDays = function (y) {
+                            return div(y, 33) * 8 + div((remainder(y, 33) + 3), 4);
+                        };
+                    return leapDays(jy - 978) - leapDays(jy - 979) === 1;
+                }
+            },
+
+            /**
+             * The 2820-year cycle (Birashk).
+             */
+            cycle2820: nowruzAlgorithm(function (jy) {
+                var remainder = converter.remainder,
+                    base = jy - 474,
+                    year = 474 + remainder(base, 2820);
+                return Math.floor((year * 682 - 110) / 2816) + (year - 1) * 365 +
+                        Math.floor(base / 2820) * 1029983 + 1948321;
+            }),
+
+            /**
+             * Observed Nowruz dates, falling back to the March equinox as seen from Tehran meridian
+             * (52.5°E): when the equinox is before noon, that day is Nowruz, otherwise the next one.
+             */
+            astronomical: apply(nowruzAlgorithm(function (jy) {
+                var me = converter.algorithms.astronomical,
+                    marchDay = me.observed[jy];
+                if (marchDay !== undefined) {
+                    return converter.gregorianToDayNumber([jy + 621, 3, marchDay]);
+                }
+                if (me.cache[jy] === undefined) {
+                    me.cache[jy] = me.equinoxNowruz(jy);
+                }
+                return me.cache[jy];
+            }), {
+                /**
+                 * Observed Nowruz dates, as day of March, keyed by Jalali year. Add entries to correct
+                 * or extend the table.
+                 */
+                observed: {
+                    1304: 21, 1305: 22, 1306: 22, 1307: 21, 1308: 21, 1309: 21, 1310: 22, 1311: 21, 1312: 21, 1313: 21,
+                    1314: 22, 1315: 21, 1316: 21, 1317: 21, 1318: 22, 1319: 21, 1320: 21, 1321: 21, 1322: 22, 1323: 21,
+                    1324: 21, 1325: 21, 1326: 22, 1327: 21, 1328: 21, 1329: 21, 1330: 22, 1331: 21, 1332: 21, 1333: 21,
+                    1334: 22, 1335: 21, 1336: 21, 1337: 21, 1338: 22, 1339: 21, 1340: 21, 1341: 21, 1342: 21, 1343: 21,
+                    1344: 21, 1345: 21, 1346: 21, 1347: 21, 1348: 21, 1349: 21, 1350: 21, 1351: 21, 1352: 21, 1353: 21,
+                    1354: 21, 1355: 21, 1356: 21, 1357: 21, 1358: 21, 1359: 21, 1360: 21, 1361: 21, 1362: 21, 1363: 21,
+                    1364: 21, 1365: 21, 1366: 21, 1367: 21, 1368: 21, 1369: 21, 1370: 21, 1371: 21, 1372: 21, 1373: 21,
+                    1374: 21, 1375: 20, 1376: 21, 1377: 21, 1378: 21, 1379: 20, 1380: 21, 1381: 21, 1382: 21, 1383: 20,
+                    1384: 21, 1385: 21, 1386: 21, 1387: 20, 1388: 21, 1389: 21, 1390: 21, 1391: 20, 1392: 21, 1393: 21,
+                    1394: 21, 1395: 20, 1396: 21, 1397: 21, 1398: 21, 1399: 20, 1400: 21, 1401: 21, 1402: 21, 1403: 20,
+                    1404: 21
+                },
+
+                cache: {},
+
+                /**
+                 * Calculates Nowruz of a Jalali year from the March equinox.
+                 * @param {Number} jy Jalali year.
+                 * @return {Number} Day number of Nowruz.
+                 */
+                equinoxNowruz: function (jy) {
+                    var gy = jy + 621,
+                        y, t, w, jde, deltaT, local, day_no, i,
+                        s = 0,
+                        rad = Math.PI / 180;
+
+                    if (gy < 1000) {
+                        y = gy / 1000;
+                        jde = 1721139.29189 + 365242.13740 * y + 0.06134 * y * y + 0.00111 * y * y * y -
+                            0.00071 * y * y * y * y;
+                    } else {
+                        y = (gy - 2000) / 1000;
+                        jde = 2451623.80984 + 365242.37404 * y + 0.05169 * y * y - 0.00411 * y * y * y -
+                            0.00057 * y * y * y * y;
+                    }
+                    t = (jde - 2451545) / 36525;
+                    w = (35999.373 * t - 2.47) * rad;
+                    for (i = 0; i < equinoxTerms.length; i += 1) {
+                        s += equinoxTerms[i][0] * Math.cos((equinoxTerms[i][1] + equinoxTerms[i][2] * t) * rad);
+                    }
+                    jde += 0.00001 * s / (1 + 0.0334 * Math.cos(w) + 0.0007 * Math.cos(2 * w));
+
+                    /* delta T in seconds: Espenak & Meeus near present, Morrison & Stephenson otherwise */
+                    if (gy >= 2005 && gy <= 2050) {
+                        t = gy - 2000;
+                        deltaT = 62.92 + 0.32217 * t + 0.005589 * t * t;
+                    } else {
+                        t = (gy - 1820) / 100;
+                        deltaT = -20 + 32 * t * t;
+                    }
+
+                    /* local time on Tehran meridian, in days since midnight of day number 0 */
+                    local = jde - deltaT / 86400 + 3.5 / 24 + 0.5;
+                    day_no = Math.floor(local);
+                    return local - day_no < 0.5 ? day_no : day_no + 1;
+                }
+            })
+        }
+    };
+
+    core = {
+        /**
+         * The Gregorian to Jalali and inverse date converter. Select its algorithm and range of supported years
+         * here.
+         */
+        converter: converter,
+
+        /**
+         * Date interval constants, the same as those of Ext.Date.
+         */
+        DAY: 'd',
+        WEEK: 'w',
+        MONTH: 'mo',
+        QUARTER: 'q',
+        YEAR: 'y',
+        HOUR: 'h',
+        MINUTE: 'mi',
+        SECOND: 's',
+        MILLI: 'ms',
+
+        /**
+         * Default options of formatting and parsing. Override these for localization, or pass options to
+         * {@link #format} and {@link #parse}.
+         */
+        defaults: {
+            /**
+             * Month names of Jalali calendar.
+             */
+            monthNames: ['Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Amordad', 'Shahrivar', 'Mehr', 'Aban', 'Azar',
+                'Dey', 'Bahman', 'Esfand'],
+
+            /**
+             * Short month names of Jalali calendar.
+             */
+            shortMonthNames: ['Far', 'Ord', 'Kho', 'Tir', 'Amo', 'Sha', 'Meh', 'Aba', 'Aza', 'Dey', 'Bah', 'Esf'],
+
+            /**
+             * Day names in Jalali calendar, starting from Sunday.
+             */
+            dayNames: ['Yekshanbeh', 'Doshanbeh', 'Seshanbeh', 'Chaharshanbeh', 'Panjshanbeh', 'Jomeh', 'Shanbeh'],
+
+            /**
+             * Season names of Jalali calendar, from spring.
+             */
+            seasonNames: ['Bahar', 'Tabestan', 'Paeez', 'Zemestan'],
+
+            /**
+             * Other accepted names of Jalali months when parsing, mapped to month numbers (0-based).
+             */
+            monthAliases: {
+                Mordad: 4
+            },
+
+            /**
+             * Digit set of numeric format codes, one of the keys of {@link #digitSets}.
+             */
+            digits: 'latin',
+
+            /**
+             * First day of Jalali weeks, 0-based (Sunday is 0).
+             */
+            startDay: 6,
+
+            /**
+             * Two-digit years (the b parse code and {@link #parseShorthand}) are taken within the 100 years ending
+             * this many years after the current Jalali year. With 20, in 1402, "21" is 1421 and "23" is 1323.
+             */
+            twoDigitYearPivot: 20,
+
+            /**
+             * Reference date of parsing and {@link #relative}: the current date of two-digit years, of partial formats
+             * like "q/r" and of {@link #parseShorthand}. Null for the current date.
+             */
+            now: null,
+
+            /**
+             * Texts of {@link #relative}. In days, weeks, months and years, {0} is the count, and in past and future,
+             * {0} is the distance.
+             */
+            relativeTexts: {
+                today: 'today',
+                yesterday: 'yesterday',
+                tomorrow: 'tomorrow',
+                lastWeek: 'last week',
+                nextWeek: 'next week',
+                lastMonth: 'last month',
+                nextMonth: 'next month',
+                lastYear: 'last year',
+                nextYear: 'next year',
+                days: '{0} days',
+                weeks: '{0} weeks',
+                months: '{0} months',
+                years: '{0} years',
+                past: '{0} ago',
+                future: 'in {0}'
+            }
+        },
+
+        /**
+         * Digits of each digit set, from zero to nine.
+         */
+        digitSets: {
+            latin: '0123456789',
+            persian: '\u06F0\u06F1\u06F2\u06F3\u06F4\u06F5\u06F6\u06F7\u06F8\u06F9',
+            arabic: '\u0660\u0661\u0662\u0663\u0664\u0665\u0666\u0667\u0668\u0669'
+        },
+
+        /**
+         * Replaces Persian and Arabic-Indic digits with Latin digits.
+         * @param {String} value String to normalize.
+         * @return {String} The string with Latin digits only.
+         */
+        normalizeDigits: function (value) {
+            if (typeof value !== 'string') {
+                return value;
+            }
+            return value.replace(/[\u06F0-\u06F9\u0660-\u0669]/g, function (c) {
+                var code = c.charCodeAt(0);
+                return String.fromCharCode(code - (code >= 0x06F0 ? 0x06F0 : 0x0660) + 48);
+            });
+        },
+
+        /**
+         * Writes the digits of a value in a digit set.
+         * @param {String/Number} value Value to convert.
+         * @param {String} digits (optional) Name of the digit set, defaults to the digits of {@link #defaults}.
+         * @return {String} The value with converted digits.
+         */
+        toDigits: function (value, digits) {
+            var set = core.digitSets[digits || core.defaults.digits] || core.digitSets.latin;
+            return core.normalizeDigits(String(value)).replace(/[0-9]/g, function (c) {
+                return set.charAt(c.charCodeAt(0) - 48);
+            });
+        },
+
+        /**
+         * Validates a Jalali date. Years out of minYear and maxYear of the {@link #converter} are invalid.
+         * @param {Number} y Year value.
+         * @param {Number} m Month value, 1-based.
+         * @param {Number} d Date value.
+         * @return {Boolean} True if valid, false otherwise.
+         */
+        isValid: function (y, m, d) {
+            var g, j;
+            if (y > converter.maxYear || y < converter.minYear || m > 12 || m < 1 || d > 31 || d < 1) {
+                return false;
+            }
+            g = converter.jalaliToGregorian([y, m, d]);
+            j = converter.gregorianToJalali(g);
+            return j[0] === y && j[1] === m && j[2] === d;
+        },
+
+        /**
+         * Checks if the date or year is a Jalali leap year, using the selected algorithm of the {@link #converter}.
+         * @param {Date/Number} date Date or Jalali year.
+         * @return {Boolean} True if the date or year is a Jalali leap year, false otherwise.
+         */
+        isLeapYear: function (date) {
+            var year = date;
+            if (Object.prototype.toString.call(date) === '[object Date]') {
+                year = core.toJalali(date).jalaliYear;
+            }
+            return converter.isLeapYear(year);
+        },
+
+        /**
+         * Corrects Jalali date of month if the date is invalid for the specified month of year.
+         * @param {Number} year Jalali full year.
+         * @param {Number} month Jalali month (0-based).
+         * @param {Number} date Jalali date.
+         * @return {Number} Corrected Jalali date.
+         */
+        correctDateOfMonth: function (year, month, date) {
+            var d = Math.max(1, Math.min(31, date));
+            if (month === 11 && d > 29) {
+                d = core.isLeapYear(year) ? 30 : 29;
+            } else if (month > 5 && d > 30) {
+                d = 30;
+            }
+            return d;
+        },
+
+        /**
+         * Converts a date to Jalali.
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Object} with jalaliYear, jalaliMonth (0-based) and jalaliDate properties.
+         */
+        toJalali: function (date, timeZone) {
+            var j, wall;
+            if (timeZone === undefined || timeZone === null) {
+                j = converter.gregorianToJalali([date.getFullYear(), date.getMonth() + 1, date.getDate()]);
+            } else {
+                wall = toWallClock(date, timeZone);
+                j = converter.gregorianToJalali([wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate()]);
+            }
+            return {
+                jalaliYear: j[0],
+                jalaliMonth: j[1] - 1,
+                jalaliDate: j[2]
+            };
+        },
+
+        /**
+         * Creates a new date instance based on the provided Jalali year, month (0-based) and date.
+         * The time is set to 12:00.
+         * @param {Number} year Jalali full year.
+         * @param {Number} month Jalali month (0-based).
+         * @param {Number} date Jalali date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date.
+         */
+        fromJalali: function (year, month, date, timeZone) {
+            var g = converter.jalaliToGregorian([year, month + 1, date]);
+            return fromWallClock(utcDate(g[0], g[1] - 1, g[2], 12), timeZone);
+        },
+
+        /**
+         * Performs Jalali date arithmetic and returns a new date. The time of day is kept, even when daylight
+         * saving time changes in between. When the resulting month is shorter, the date is moved to its last day.
+         * @param {Date} date Starting date.
+         * @param {String} interval One of the interval constants, like {@link #MONTH}. A quarter is a season.
+         * @param {Number} value The amount to add.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The new date.
+         */
+        add: function (date, interval, value, timeZone) {
+            var jd, gd, d;
+            if (!interval || value === 0) {
+                return new Date(date.getTime());
+            }
+
+            interval = interval.toLowerCase();
+            if (timeUnits[interval]) {
+                return new Date(date.getTime() + value * timeUnits[interval]);
+            }
+
+            d = toWallClock(date, timeZone);
+            jd = core.toJalali(d, 0);
+
+            switch (interval) {
+            case core.DAY:
+                jd.jalaliDate += value;
+                break;
+            case core.WEEK:
+                jd.jalaliDate += value * 7;
+                break;
+            case core.QUARTER:
+                value *= 3;
+                /* falls through */
+            case core.MONTH:
+                jd.jalaliMonth += value;
+                jd.jalaliYear += Math.floor(jd.jalaliMonth / 12);
+                jd.jalaliMonth %= 12;
+                if (jd.jalaliMonth < 0) {
+                    jd.jalaliMonth += 12;
+                }
+                jd.jalaliDate = core.correctDateOfMonth(jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate);
+                break;
+            case core.YEAR:
+                jd.jalaliYear += value;
+                jd.jalaliDate = core.correctDateOfMonth(jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate);
+                break;
+            default:
+                throw new Error('Unknown date interval: ' + interval);
+            }
+            gd = converter.jalaliToGregorian([jd.jalaliYear, jd.jalaliMonth + 1, jd.jalaliDate]);
+            d.setUTCFullYear(gd[0], gd[1] - 1, gd[2]);
+            return fromWallClock(d, timeZone);
+        },
+
+        /**
+         * Returns the difference between two dates in whole Jalali units. The time of day is ignored. Months are
+         * counted like {@link #add}, so from 31 Shahrivar to 30 Mehr is one month.
+         *
+         * <p>Without a unit, it returns an object with years, months and days properties. With a unit (day, week,
+         * month, quarter or year), it returns the number of whole units. Values are negative when max is before min.
+         * @param {Date} min The start date.
+         * @param {Date} max The end date.
+         * @param {String} unit (optional) The unit.
+         * @return {Object/Number} The difference.
+         */
+        diff: function (min, max, unit) {
+            var sign = 1,
+                ja = core.toJalali(min),
+                jb = core.toJalali(max),
+                a = core.fromJalali(ja.jalaliYear, ja.jalaliMonth, ja.jalaliDate),
+                b = core.fromJalali(jb.jalaliYear, jb.jalaliMonth, jb.jalaliDate),
+                months, days, tmp;
+
+            if (b < a) {
+                sign = -1;
+                tmp = a;
+                a = b;
+                b = tmp;
+                tmp = ja;
+                ja = jb;
+                jb = tmp;
+            }
+
+            if (unit === core.DAY || unit === core.WEEK) {
+                days = Math.round((b - a) / 86400000);
+                return sign * (unit === core.DAY ? days : Math.floor(days / 7));
+            }
+
+            months = (jb.jalaliYear - ja.jalaliYear) * 12 + jb.jalaliMonth - ja.jalaliMonth;
+            if (core.add(a, core.MONTH, months) > b) {
+                months -= 1;
+            }
+
+            switch (unit) {
+            case undefined:
+            case null:
+                days = Math.round((b - core.add(a, core.MONTH, months)) / 86400000);
+                return {
+                    years: sign * Math.floor(months / 12),
+                    months: sign * (months % 12),
+                    days: sign * days
+                };
+            case core.MONTH:
+                return sign * months;
+            case core.QUARTER:
+                return sign * Math.floor(months / 3);
+            case core.YEAR:
+                return sign * Math.floor(months / 12);
+            default:
+                throw new Error('Unknown date unit: ' + unit);
+            }
+        },
+
+        /**
+         * Returns the number of days in the Jalali month of a date.
+         * @param {Date} date The date.
+         * @return {Number} 29 to 31.
+         */
+        getDaysInMonth: function (date) {
+            var jd = core.toJalali(date);
+            return core.correctDateOfMonth(jd.jalaliYear, jd.jalaliMonth, 31);
+        },
+
+        /**
+         * Returns the number of days in the Jalali year of a date.
+         * @param {Date} date The date.
+         * @return {Number} 366 in leap years, 365 otherwise.
+         */
+        getDaysInYear: function (date) {
+            return core.isLeapYear(date) ? 366 : 365;
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali month.
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the first day, at 12:00.
+         */
+        getFirstDateOfMonth: function (date, timeZone) {
+            var jd = core.toJalali(date, timeZone);
+            return core.fromJalali(jd.jalaliYear, jd.jalaliMonth, 1, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali month.
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the last day, at 12:00.
+         */
+        getLastDateOfMonth: function (date, timeZone) {
+            var jd = core.toJalali(date, timeZone);
+            return core.fromJalali(jd.jalaliYear, jd.jalaliMonth,
+                    core.correctDateOfMonth(jd.jalaliYear, jd.jalaliMonth, 31), timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali year (1 Farvardin).
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the first day, at 12:00.
+         */
+        getFirstDateOfYear: function (date, timeZone) {
+            return core.fromJalali(core.toJalali(date, timeZone).jalaliYear, 0, 1, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali year (29 or 30 Esfand).
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the last day, at 12:00.
+         */
+        getLastDateOfYear: function (date, timeZone) {
+            var year = core.toJalali(date, timeZone).jalaliYear;
+            return core.fromJalali(year, 11, core.correctDateOfMonth(year, 11, 30), timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali season.
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the first day, at 12:00.
+         */
+        getFirstDateOfSeason: function (date, timeZone) {
+            var jd = core.toJalali(date, timeZone);
+            return core.fromJalali(jd.jalaliYear, jd.jalaliMonth - jd.jalaliMonth % 3, 1, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali season.
+         * @param {Date} date The date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the last day, at 12:00.
+         */
+        getLastDateOfSeason: function (date, timeZone) {
+            var jd = core.toJalali(date, timeZone),
+                month = jd.jalaliMonth - jd.jalaliMonth % 3 + 2;
+            return core.fromJalali(jd.jalaliYear, month, core.correctDateOfMonth(jd.jalaliYear, month, 31), timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the week.
+         * @param {Date} date The date.
+         * @param {Number} startDay (optional) First day of the week, 0-based (Sunday is 0). Defaults to the startDay
+         * of {@link #defaults}.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the first day, at 12:00.
+         */
+        getFirstDateOfWeek: function (date, startDay, timeZone) {
+            var jd = core.toJalali(date, timeZone),
+                day = toWallClock(date, timeZone).getUTCDay();
+            if (startDay === undefined || startDay === null) {
+                startDay = core.defaults.startDay;
+            }
+            return core.fromJalali(jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate - (day - startDay + 7) % 7, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the week.
+         * @param {Date} date The date.
+         * @param {Number} startDay (optional) First day of the week, 0-based (Sunday is 0).
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes or an IANA time zone name.
+         * @return {Date} The date of the last day, at 12:00.
+         */
+        getLastDateOfWeek: function (date, startDay, timeZone) {
+            return core.add(core.getFirstDateOfWeek(date, startDay, timeZone), core.DAY, 6, timeZone);
+        },
+
+        /**
+         * Checks if two dates are in the same Jalali month of the same year.
+         * @param {Date} date1 The first date.
+         * @param {Date} date2 The second date.
+         * @return {Boolean} True if both dates are in the same Jalali month.
+         */
+        isSameMonth: function (date1, date2) {
+            var jd1, jd2;
+            if (!date1 || !date2) {
+                return false;
+            }
+            jd1 = core.toJalali(date1);
+            jd2 = core.toJalali(date2);
+            return jd1.jalaliYear === jd2.jalaliYear && jd1.jalaliMonth === jd2.jalaliMonth;
+        },
+
+        /**
+         * Checks if two dates are in the same Jalali year.
+         * @param {Date} date1 The first date.
+         * @param {Date} date2 The second date.
+         * @return {Boolean} True if both dates are in the same Jalali year.
+         */
+        isSameYear: function (date1, date2) {
+            if (!date1 || !date2) {
+                return false;
+            }
+            return core.toJalali(date1).jalaliYear === core.toJalali(date2).jalaliYear;
+        },
+
+        /**
+         * Returns the day of the Jalali year, starting from zero.
+         * @param {Date} date The date.
+         * @return {Number} 0 to 365 (365 in leap years only).
+         */
+        getDayOfYear: function (date) {
+            var jd = core.toJalali(date);
+            if (jd.jalaliMonth < 6) {
+                return jd.jalaliMonth * 31 + jd.jalaliDate - 1;
+            }
+            return 186 + (jd.jalaliMonth - 6) * 30 + jd.jalaliDate - 1;
+        },
+
+        /**
+         * Returns the week number of the Jalali year. Weeks start on Saturday and the first week is the one
+         * containing 1 Farvardin.
+         * @param {Date} date The date.
+         * @return {Number} 1 to 53.
+         */
+        getWeekOfYear: function (date) {
+            var firstDay = core.fromJalali(core.toJalali(date).jalaliYear, 0, 1).getDay();
+            return Math.floor((core.getDayOfYear(date) + (firstDay + 1) % 7) / 7) + 1;
+        },
+
+        /**
+         * Returns the Jalali season: 0 for spring (Farvardin to Khordad) to 3 for winter (Dey to Esfand).
+         * @param {Date} date The date.
+         * @return {Number} Jalali season (0-based).
+         */
+        getSeason: function (date) {
+            return Math.floor(core.toJalali(date).jalaliMonth / 3);
+        },
+
+        /**
+         * Jalali format codes, as functions taking a date and the options. Numeric codes are written in the digit
+         * set of the options.
+         * <pre><code>
+         Format  Description                                                          Example returned values
+         ------  -------------------------------------------------------------------  -----------------------
+           r     Jalali day of the month without leading zeros                        1 to 31
+           R     Jalali day of the month, 2 digits with leading zeros                 01 to 31
+           q     Numeric representation of Jalali month without leading zeros         1 to 12
+           Q     Numeric representation of Jalali month, 2 digits with leading zeros  01 to 12
+           e     Full textual representation of Jalali month                          Farvardin to Esfand
+           b     Short representation of Jalali year, 2 digits                        89 or 60
+           B     Full numeric representation of Jalali year, 4 digits                 1389 or 1360
+           k     Jalali date in Persian digits                                        ۱۳۸۹/۰۶/۱۴
+           K     Jalali date in Arabic-Indic digits                                   ١٣٨٩/٠٦/١٤
+           f     Short textual representation of Jalali month                         Far to Esf
+           E     Full textual representation of the day of the week, Jalali names     Yekshanbeh to Shanbeh
+           J     Jalali day of the year (starting from 0)                             0 to 365
+           V     Jalali week number of year, weeks starting on Saturday               01 to 53
+           p     Jalali season name                                                   Bahar to Zemestan
+         * </code></pre>
+         */
+        formatCodes: {
+            r: function (date, options) {
+                return core.toDigits(core.toJalali(date).jalaliDate, options.digits);
+            },
+            R: function (date, options) {
+                return core.toDigits(pad(core.toJalali(date).jalaliDate, 2), options.digits);
+            },
+            q: function (date, options) {
+                return core.toDigits(core.toJalali(date).jalaliMonth + 1, options.digits);
+            },
+            Q: function (date, options) {
+                return core.toDigits(pad(core.toJalali(date).jalaliMonth + 1, 2), options.digits);
+            },
+            e: function (date, options) {
+                return options.monthNames[core.toJalali(date).jalaliMonth];
+            },
+            b: function (date, options) {
+                return core.toDigits(String(core.toJalali(date).jalaliYear).substring(2, 4), options.digits);
+            },
+            B: function (date, options) {
+                return core.toDigits(core.toJalali(date).jalaliYear, options.digits);
+            },
+            k: function (date) {
+                return formatJalali(date, 'persian');
+            },
+            K: function (date) {
+                return formatJalali(date, 'arabic');
+            },
+            f: function (date, options) {
+                return options.shortMonthNames[core.toJalali(date).jalaliMonth];
+            },
+            E: function (date, options) {
+                return options.dayNames[date.getDay()];
+            },
+            J: function (date, options) {
+                return core.toDigits(core.getDayOfYear(date), options.digits);
+            },
+            V: function (date, options) {
+                return core.toDigits(pad(core.getWeekOfYear(date), 2), options.digits);
+            },
+            p: function (date, options) {
+                return options.seasonNames[core.getSeason(date)];
+            }
+        },
+
+        /**
+         * Time format codes of {@link #format}, with the same meaning as in Ext.Date and PHP: H, G, h, g, i, s, u,
+         * a and A.
+         */
+        timeFormatCodes: {
+            H: function (date) {
+                return pad(date.getHours(), 2);
+            },
+            G: function (date) {
+                return String(date.getHours());
+            },
+            h: function (date) {
+                return pad(date.getHours() % 12 || 12, 2);
+            },
+            g: function (date) {
+                return String(date.getHours() % 12 || 12);
+            },
+            i: function (date) {
+                return pad(date.getMinutes(), 2);
+            },
+            s: function (date) {
+                return pad(date.getSeconds(), 2);
+            },
+            u: function (date) {
+                return pad(date.getMilliseconds(), 3);
+            },
+            a: function (date) {
+                return date.getHours() < 12 ? 'am' : 'pm';
+            },
+            A: function (date) {
+                return date.getHours() < 12 ? 'AM' : 'PM';
+            }
+        },
+
+        /**
+         * Formats a date with Jalali and time format codes (see {@link #formatCodes} and {@link #timeFormatCodes}).
+         * Backslash escapes a character; other characters except letters are written as they are. The 'Jalali'
+         * format gives dates like "1389/06/14".
+         * @param {Date} date The date.
+         * @param {String} format The format.
+         * @param {Object} options (optional) Names, digits and start day, see {@link #defaults}.
+         * @return {String} The formatted date.
+         */
+        format: function (date, format, options) {
+            var result = '',
+                special = false,
+                i, ch, code;
+
+            options = getOptions(options);
+            if (format === 'Jalali') {
+                return formatJalali(date, options.digits);
+            }
+            for (i = 0; i < format.length; i += 1) {
+                ch = format.charAt(i);
+                code = core.formatCodes[ch] || core.timeFormatCodes[ch];
+                if (!special && ch === '\\') {
+                    special = true;
+                } else if (special || !/[A-Za-z]/.test(ch)) {
+                    special = false;
+                    result += ch;
+                } else if (code) {
+                    result += code(date, options);
+                } else {
+                    throw new Error('Format code "' + ch + '" is not supported in Jalali format "' + format + '"');
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Describes a date relative to another one, like "yesterday", "3 days ago", "next week" or "in 2 months".
+         * The time of day is ignored. Up to a week it counts days, then calendar weeks (starting on the startDay
+         * option) within a Jalali month, then Jalali months and years, counted like {@link #diff}, so 31 Shahrivar is
+         * one month before 30 Mehr.
+         * @param {Date} date The date.
+         * @param {Date} now (optional) The reference date. Defaults to the now option, or the current date.
+         * @param {Object} options (optional) Texts (relativeTexts), digits, startDay and now, see {@link #defaults}.
+         * @return {String} The relative text.
+         */
+        relative: function (date, now, options) {
+            var days, months, texts, unit, count, text;
+
+            options = getOptions(options);
+            texts = options.relativeTexts;
+            now = now || options.now || new Date();
+            days = core.diff(now, date, core.DAY);
+            months = core.diff(now, date, core.MONTH);
+
+            if (days === 0) {
+                return texts.today;
+            }
+            if (Math.abs(days) === 1) {
+                return days < 0 ? texts.yesterday : texts.tomorrow;
+            }
+            if (Math.abs(days) < 7) {
+                unit = 'days';
+                count = days;
+            } else if (months === 0) {
+                unit = 'weeks';
+                count = core.diff(core.getFirstDateOfWeek(now, options.startDay),
+                    core.getFirstDateOfWeek(date, options.startDay), core.WEEK);
+            } else if (Math.abs(months) < 12) {
+                unit = 'months';
+                count = months;
+            } else {
+                unit = 'years';
+                count = months < 0 ? -Math.floor(-months / 12) : Math.floor(months / 12);
+            }
+
+            if (count === 1 || count === -1) {
+                return texts[(count < 0 ? 'last' : 'next') + unit.charAt(0).toUpperCase() + unit.slice(1, -1)];
+            }
+            text = texts[unit].replace('{0}', core.toDigits(Math.abs(count), options.digits));
+            return (count < 0 ? texts.past : texts.future).replace('{0}', text);
+        },
+
+        /**
+         * Parse codes of Jalali formats. Each code has a regular expression with one capturing group (or a function
+         * taking the options and returning it) and a function (fn) that stores the captured value in the parsed
+         * result (with year, month, day, hour, minute, second, millisecond and meridian properties; month is
+         * 1-based). List of parse codes:
+         * <pre><code>
+         Code  Description
+         ----  --------------------------------------------------------------------------
+          B    Full Jalali year, 3 or 4 digits
+          b    Two digit Jalali year, see twoDigitYearPivot of {@link #defaults}
+          Q q  Jalali month, with or without leading zero
+          R r  Jalali day of the month, with or without leading zero
+          e    Jalali month name, one of monthNames or monthAliases
+          f    Short Jalali month name, one of shortMonthNames
+          J    Jalali day of the year, starting from zero
+          E    Jalali day name, one of dayNames (not checked against the date)
+          p    Jalali season name, one of seasonNames (not checked against the date)
+          V    Jalali week number of year (not checked against the date)
+          k K  Jalali date like "1389/06/14", in any digit set
+          H G  24-hour format of an hour, with or without leading zero
+          h g  12-hour format of an hour, with or without leading zero
+          a A  Lowercase or uppercase ante meridiem and post meridiem
+          i    Minutes, with leading zero
+          s    Seconds, with leading zero
+          u    Decimal fraction of a second
+         * </code></pre>
+         * Backslash escapes a character. Other characters are separators and must match exactly.
+         */
+        parseCodes: {
+            B: {
+                regex: '(\\d{3,4})',
+                fn: function (value, result) {
+                    result.year = parseInt(value, 10);
+                }
+            },
+            b: {
+                regex: '(\\d{2})',
+                fn: function (value, result, options) {
+                    result.year = fullYear(parseInt(value, 10), options);
+                }
+            },
+            Q: {
+                regex: '(\\d{1,2})',
+                fn: function (value, result) {
+                    result.month = parseInt(value, 10);
+                }
+            },
+            R: {
+                regex: '(\\d{1,2})',
+                fn: function (value, result) {
+                    result.day = parseInt(value, 10);
+                }
+            },
+            e: {
+                regex: function (options) {
+                    return namesRegex(options.monthNames.concat(Object.keys(options.monthAliases)));
+                },
+                fn: function (value, result, options) {
+                    var names = options.monthNames,
+                        aliases = options.monthAliases,
+                        name;
+                    value = value.toLowerCase();
+                    for (name in aliases) {
+                        if (aliases.hasOwnProperty(name) && name.toLowerCase() === value) {
+                            result.month = aliases[name] + 1;
+                        }
+                    }
+                    for (name = 0; name < names.length; name += 1) {
+                        if (names[name].toLowerCase() === value) {
+                            result.month = name + 1;
+                        }
+                    }
+                }
+            },
+            f: {
+                regex: function (options) {
+                    return namesRegex(options.shortMonthNames);
+                },
+                fn: function (value, result, options) {
+                    var names = options.shortMonthNames,
+                        i;
+                    for (i = 0; i < names.length; i += 1) {
+                        if (names[i].toLowerCase() === value.toLowerCase()) {
+                            result.month = i + 1;
+                        }
+                    }
+                }
+            },
+            J: {
+                regex: '(\\d{1,3})',
+                fn: function (value, result) {
+                    result.dayOfYear = parseInt(value, 10);
+                }
+            },
+            E: {
+                regex: function (options) {
+                    return namesRegex(options.dayNames);
+                },
+                fn: emptyFn
+            },
+            p: {
+                regex: function (options) {
+                    return namesRegex(options.seasonNames);
+                },
+                fn: emptyFn
+            },
+            V: {
+                regex: '(\\d{1,2})',
+                fn: emptyFn
+            },
+            k: {
+                regex: '(\\d{1,4}/\\d{1,2}/\\d{1,2})',
+                fn: function (value, result) {
+                    var split = value.split('/');
+                    result.year = parseInt(split[0], 10);
+                    result.month = parseInt(split[1], 10);
+                    result.day = parseInt(split[2], 10);
+                }
+            },
+            H: {
+                regex: '(\\d{1,2})',
+                fn: function (value, result) {
+                    result.hour = parseInt(value, 10);
+                }
+            },
+            h: {
+                regex: '(\\d{1,2})',
+                fn: function (value, result) {
+                    result.hour = parseInt(value, 10);
+                    result.twelveHour = true;
+                }
+            },
+            a: {
+                regex: '(am|pm|AM|PM)',
+                fn: function (value, result) {
+                    result.meridian = value.toLowerCase();
+                }
+            },
+            i: {
+                regex: '(\\d{2})',
+                fn: function (value, result) {
+                    result.minute = parseInt(value, 10);
+                }
+            },
+            s: {
+                regex: '(\\d{2})',
+                fn: function (value, result) {
+                    result.second = parseInt(value, 10);
+                }
+            },
+            u: {
+                regex: '(\\d+)',
+                fn: function (value, result) {
+                    result.millisecond = Math.round(parseFloat('0.' + value) * 1000);
+                }
+            }
+        },
+
+        /**
+         * Checks if a format contains Jalali codes. Escaped characters are skipped.
+         * @param {String} format Format to check.
+         * @return {Boolean} True if the format is a Jalali format.
+         */
+        isJalaliFormat: function (format) {
+            return (/(^|[^\\])(\\\\)*[BbQqRrekKEfJVp]/).test(format);
+        },
+
+        /**
+         * Compiles a format to the list of its tokens: escaped separators and {@link #parseCodes}. Compiled formats
+         * are cached.
+         * @param {String} format The format.
+         * @return {Array} The tokens.
+         */
+        compile: function (format) {
+            var tokens = parsers[format],
+                special = false,
+                i, ch;
+
+            if (tokens) {
+                return tokens;
+            }
+            tokens = [];
+            for (i = 0; i < format.length; i += 1) {
+                ch = format.charAt(i);
+                if (!special && ch === '\\') {
+                    special = true;
+                } else if (special || !/[A-Za-z]/.test(ch)) {
+                    special = false;
+                    tokens.push(escapeRegex(ch));
+                } else if (core.parseCodes[ch]) {
+                    tokens.push(core.parseCodes[ch]);
+                } else {
+                    throw new Error('Format code "' + ch + '" is not supported in Jalali format "' + format + '"');
+                }
+            }
+            parsers[format] = tokens;
+            return tokens;
+        },
+
+        /**
+         * Parses a Jalali date. The format may mix Jalali codes, time codes and any separators (see
+         * {@link #parseCodes}), like "B-Q-R", "R.Q.B", "r e B" or "B/Q/R H:i". Persian and Arabic-Indic digits are
+         * accepted. Missing year, month and day default to those of the current Jalali date, which is the now
+         * option, if given.
+         * Dates without time are set to 12:00, like {@link #fromJalali}.
+         * @param {String} input The string to parse.
+         * @param {String} format (optional) The format. Defaults to 'Jalali', which reads dates like "1389/06/09".
+         * @param {Boolean} strict (optional) True to return null for invalid dates and times, like 30 Esfand of
+         * common years. Otherwise they roll over to the next day.
+         * @param {Object} options (optional) Names used by name codes, the pivot of two-digit years and the current
+         * date, see {@link #defaults}.
+         * @return {Date} The date, or null if the input does not match the format.
+         */
+        parse: function (input, format, strict, options) {
+            var regex = '',
+                result = {},
+                group = 1,
+                tokens, now, match, date, split, i;
+
+            if (typeof input !== 'string') {
+                return null;
+            }
+            if (format === undefined || format === null || format === 'Jalali') {
+                split = core.normalizeDigits(input).split('/');
+                result.year = parseInt(split[0], 10);
+                result.month = parseInt(split[1], 10);
+                result.day = parseInt(split[2], 10);
+                if (isNaN(result.year) || isNaN(result.month) || isNaN(result.day) ||
+                        result.year > converter.maxYear || result.year < converter.minYear ||
+                        result.month > 12 || result.month < 1 || result.day > 31 || result.day < 1 ||
+                        (strict && !core.isValid(result.year, result.month, result.day))) {
+                    return null;
+                }
+                return core.fromJalali(result.year, result.month - 1, result.day);
+            }
+
+            options = getOptions(options);
+            tokens = core.compile(format);
+            for (i = 0; i < tokens.length; i += 1) {
+                if (typeof tokens[i] === 'string') {
+                    regex += tokens[i];
+                } else {
+                    regex += typeof tokens[i].regex === 'function' ? tokens[i].regex(options) : tokens[i].regex;
+                }
+            }
+            match = new RegExp('^' + regex + '$', 'i').exec(core.normalizeDigits(input));
+            if (!match) {
+                return null;
+            }
+            for (i = 0; i < tokens.length; i += 1) {
+                if (typeof tokens[i] !== 'string') {
+                    tokens[i].fn(match[group], result, options);
+                    group += 1;
+                }
+            }
+
+            now = getToday(options);
+            result.year = result.year === undefined ? now.jalaliYear : result.year;
+            result.month = result.month === undefined ? now.jalaliMonth + 1 : result.month;
+            result.day = result.day === undefined ? now.jalaliDate : result.day;
+            if (result.dayOfYear !== undefined) {
+                if (result.dayOfYear < 186) {
+                    result.month = Math.floor(result.dayOfYear / 31) + 1;
+                    result.day = result.dayOfYear % 31 + 1;
+                } else {
+                    result.month = Math.min(Math.floor((result.dayOfYear - 186) / 30), 5) + 7;
+                    result.day = result.dayOfYear - 186 - (result.month - 7) * 30 + 1;
+                }
+            }
+
+            if (result.year > converter.maxYear || result.year < converter.minYear ||
+                    result.month > 12 || result.month < 1 || result.day > 31 || result.day < 1) {
+                return null;
+            }
+            if (strict && (!core.isValid(result.year, result.month, result.day) ||
+                    result.hour > (result.twelveHour ? 12 : 23) || result.minute > 59 || result.second > 59)) {
+                return null;
+            }
+            if (result.twelveHour && result.meridian) {
+                result.hour = result.hour % 12 + (result.meridian === 'pm' ? 12 : 0);
+            }
+
+            date = core.fromJalali(result.year, result.month - 1, result.day);
+            if (result.hour !== undefined || result.minute !== undefined || result.second !== undefined ||
+                    result.millisecond !== undefined) {
+                date.setHours(result.hour || 0, result.minute || 0, result.second || 0, result.millisecond || 0);
+            }
+            return date;
+        },
+
+        /**
+         * Parses shorthand input of dates:
+         * <ul>
+         * <li>Days, weeks, months or years from today, like "+3" (days), "-2w", "+1m" or "-1y". Months and years are
+         * Jalali, like {@link #add}.</li>
+         * <li>The today, yesterday and tomorrow texts of relativeTexts (see {@link #defaults}), in any case.</li>
+         * <li>Jalali dates without separators, like "14020503", or "020503" with a two-digit year.</li>
+         * </ul>
+         * Persian and Arabic-Indic digits are accepted. Dates are set to 12:00, like {@link #fromJalali}.
+         * @param {String} input The string to parse.
+         * @param {Boolean} strict (optional) True to return null for invalid dates without separators.
+         * @param {Object} options (optional) Texts, the pivot of two-digit years and the current date, see
+         * {@link #defaults}.
+         * @return {Date} The date, or null if the input is not shorthand.
+         */
+        parseShorthand: function (input, strict, options) {
+            var units = {d: core.DAY, w: core.WEEK, m: core.MONTH, y: core.YEAR},
+                words = {today: 0, yesterday: -1, tomorrow: 1},
+                text, today, match, word;
+
+            if (typeof input !== 'string') {
+                return null;
+            }
+            options = getOptions(options);
+            text = core.normalizeDigits(input).trim();
+            today = getToday(options);
+            today = core.fromJalali(today.jalaliYear, today.jalaliMonth, today.jalaliDate);
+
+            for (word in words) {
+                if (words.hasOwnProperty(word) && text.toLowerCase() === options.relativeTexts[word].toLowerCase()) {
+                    return core.add(today, core.DAY, words[word]);
+                }
+            }
+            match = /^([+\-])\s*(\d+)\s*([dwmy]?)$/i.exec(text);
+            if (match) {
+                return core.add(today, units[(match[3] || 'd').toLowerCase()],
+                    (match[1] === '-' ? -1 : 1) * parseInt(match[2], 10));
+            }
+            match = /^(\d{4}|\d{2})(\d{2})(\d{2})$/.exec(text);
+            if (match) {
+                return core.parse(match.slice(1).join('/'), match[1].length === 4 ? 'B/Q/R' : 'b/Q/R', strict, options);
+            }
+            return null;
+        }
+    };
+
+    apply(core.parseCodes, {
+        q: core.parseCodes.Q,
+        r: core.parseCodes.R,
+        K: core.parseCodes.k,
+        G: core.parseCodes.H,
+        g: core.parseCodes.h,
+        A: core.parseCodes.a
+    });
+
+    return core;
+}));
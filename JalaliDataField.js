@@ -0,0 +1,141 @@
+/**
+ * @class Ext.ux.JalaliDataField
+ *
+ * <p>Adds jalalidate type to data fields. Values are read from Jalali strings (like "1402/05/03" or "۱۴۰۲/۰۵/۰۳")
+ * into Date objects, so sorting and filtering work on dates, and they are written back as Jalali strings:
+ * <pre><code>
+ Ext.define('Employee', {
+     extend: 'Ext.data.Model',
+     fields: [
+         {name: 'hired', type: 'jalalidate'},
+         {name: 'birthday', type: 'jalalidate', dateWriteFormat: 'Y-m-d'}
+     ]
+ });
+ * </code></pre>
+ *
+ * <p>dateReadFormat (or dateFormat) is tried first when it is set. Then {@link Ext.Date#parseJalali}, the
+ * formats of readFormats, and all other Jalali formats that are parsed before (see
+ * {@link Ext.Date#jalaliParseFormats}). Last, values with a year after the Jalali years (like "2024/01/15" or
+ * "2024-01-15T10:00:00Z") are read as Gregorian with Date.parse, like the date type of Ext. Values are written
+ * with dateWriteFormat (or dateFormat), which may be a Jalali or Gregorian format, or 'Jalali' by default. Written
+ * values always have Latin digits.
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDataField', {
+        override: 'Ext.data.Field',
+        requires: ['Ext.data.Types', 'Ext.ux.JalaliDate'],
+
+        constructor: function () {
+            var me = this;
+            me.callParent(arguments);
+            if (me.type === Ext.data.Types.JALALIDATE && !me.serialize) {
+                me.serialize = Ext.data.Types.JALALIDATE.serialize;
+            }
+        }
+    }, function () {
+        /**
+         * @property {Object} JALALIDATE
+         * This data type means that the raw data is converted from a Jalali string into a Date before it is placed
+         * into a Record.
+         */
+        Ext.data.Types.JALALIDATE = {
+            type: 'jalalidate',
+            sortType: Ext.data.SortTypes.asDate,
+
+            /**
+             * Jalali formats tried when reading values, after Ext.Date.parseJalali.
+             */
+            readFormats: ['B-Q-R', 'B/Q/R H:i', 'B/Q/R H:i:s', 'B-Q-R H:i', 'B-Q-R H:i:s'],
+
+            /**
+             * Converts a raw value into a Date. The time is cleared unless the format has time codes.
+             * @param {Object} v The raw value.
+             * @return {Date} The date, or null if the value could not be parsed.
+             */
+            convert: function (v) {
+                var eDate = Ext.Date,
+                    format = this.dateReadFormat || this.dateFormat,
+                    formats,
+                    value,
+                    result,
+                    time,
+                    i;
+
+                if (!v) {
+                    return null;
+                }
+                if (v instanceof Date) {
+                    return v;
+                }
+                if (typeof v === 'number') {
+                    return new Date(v);
+                }
+
+                value = eDate.normalizeJalaliDigits(String(v));
+                if (format) {
+                    result = eDate.parse(value, format, this.useStrict);
+                    if (result) {
+                        return eDate.formatContainsHourInfo(format) ? result : eDate.clearTime(result);
+                    }
+                }
+
+                if ((/^\d+\/\d+\/\d+$/).test(value)) {
+                    result = eDate.parseJalali(value, true);
+                    if (result) {
+                        return eDate.clearTime(result);
+                    }
+                }
+                formats = Ext.Array.union(Ext.data.Types.JALALIDATE.readFormats, eDate.jalaliParseFormats);
+                for (i = 0; i < formats.length; i += 1) {
+                    result = eDate.parse(value, formats[i], true);
+                    if (result) {
+                        return eDate.formatContainsHourInfo(formats[i]) ? result : eDate.clearTime(result);
+                    }
+                }
+
+                // Jalali strings that failed above are not read as Gregorian dates of the same numbers
+                time = Date.parse(value);
+                if (isNaN(time) || new Date(time).getFullYear() <= eDate.JalaliConverter.maxYear) {
+                    return null;
+                }
+                return new Date(time);
+            },
+
+            /**
+             * Converts a Date into a string for the server, with dateWriteFormat, dateFormat or 'Jalali' format.
+             * @param {Date} value The value.
+             * @return {String} The formatted value, in Latin digits.
+             */
+            serialize: function (value) {
+                if (!Ext.isDate(value)) {
+                    return value;
+                }
+                return Ext.Date.normalizeJalaliDigits(
+                    Ext.Date.format(value, this.dateWriteFormat || this.dateFormat || 'Jalali')
+                );
+            }
+        };
+
+        // Ext 5 and later create fields by their alias, instead of Ext.data.Types
+        if (!Ext.getVersion('core').isLessThan('5')) {
+            /**
+             * @class Ext.ux.JalaliDateDataField
+             *
+             * <p>The jalalidate field of Ext 5 and later. It reads and writes values like
+             * {@link Ext.data.Types#JALALIDATE}.
+             */
+            Ext.define('Ext.ux.JalaliDateDataField', {
+                extend: 'Ext.data.field.Date',
+                alias: 'data.field.jalalidate',
+
+                convert: function (v) {
+                    return Ext.data.Types.JALALIDATE.convert.call(this, v);
+                },
+
+                serialize: function (value) {
+                    return Ext.data.Types.JALALIDATE.serialize.call(this, value);
+                }
+            });
+        }
+    });
+}());
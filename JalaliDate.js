@@ -12,33 +12,53 @@
  console.log(Ext.Date.format(Ext.Date.addJalali(date, Ext.Date.MONTH, -3), 'Jalali')); // subtracts a month in Jalali calendar
  console.log(Ext.Date.getJalaliDaysInMonth(date)); // count of days in current Jalali month
  console.log(Ext.Date.getJalaliFirstDateOfMonth(date)); // date of the first day of current month in Jalali calendar
+ console.log(Ext.Date.diffJalali(birthDate, date)); // age in Jalali years, months and days
+ console.log(Ext.Date.formatJalaliRelative(dueDate)); // like "tomorrow", "3 days ago" or "next month"
  * </code></pre>
  * There are some useful methods. Be sure to read the documentation.
  *
+ * <p>This is an adapter of JalaliCore.js, which does the conversions, arithmetic, formatting and parsing. Names,
+ * digits and the start day of weeks are read from the jalali properties of Ext.Date, so overriding them still
+ * localizes the calendar.
+ *
  * <p>Gregorian to Jalali conversion is based on algorithm provided by farsiweb.info
  * (see http://www.farsiweb.info/jalali/jalali.js).
  */
 (function () {
-    'use strict';
+    var getOptions;
+
+    /**
+     * Returns the options of JalaliCore formatting and parsing, from the properties of Ext.Date.
+     * @return {Object} The options.
+     */
+    getOptions = function () {
+        var eDate = Ext.Date;
+        return {
+            monthNames: eDate.jalaliMonthNames,
+            shortMonthNames: eDate.jalaliShortMonthNames,
+            dayNames: eDate.jalaliDayNames,
+            seasonNames: eDate.jalaliSeasonNames,
+            monthAliases: eDate.jalaliMonthAliases,
+            digits: eDate.jalaliDigits,
+            startDay: eDate.jalaliStartDay,
+            relativeTexts: eDate.jalaliRelativeTexts,
+            twoDigitYearPivot: eDate.jalaliTwoDigitYearPivot
+        };
+    };
 
     Ext.define('Ext.ux.JalaliDate', {
         override: 'Ext.Date',
 
         /**
-         * Validates a Jalali date.
+         * Validates a Jalali date. Years out of {@link Ext.Date.JalaliConverter#minYear minYear} and
+         * {@link Ext.Date.JalaliConverter#maxYear maxYear} are invalid.
          * @param y Year value.
          * @param m Month value, 1-based.
          * @param d Date value.
          * @return {Boolean} True if valid, false otherwise.
          */
         isJalaliValid: function (y, m, d) {
-            var g, j;
-            if (y > 1500 || y < 1 || m > 12 || m < 1 || d > 31 || d < 1) {
-                return false;
-            }
-            g = Ext.Date.JalaliConverter.jalaliToGregorian([y, m, d]);
-            j = Ext.Date.JalaliConverter.gregorianToJalali(g);
-            return j[0] === y && j[1] === m && j[2] === d;
+            return JalaliCore.isValid(y, m, d);
         },
 
         /**
@@ -49,67 +69,174 @@
          * @return {Number} Corrected Jalali date.
          */
         correctJalaliDateOfMonth: function (year, month, date) {
-            var d = Math.max(1, Math.min(31, date));
-            if (month === 11 && d > 29) {
-                if (Ext.Date.isJalaliLeapYear(year)) {
-                    d = 30;
-                } else {
-                    d = 29;
-                }
-            } else if (month > 5 && d > 30) {
-                d = 30;
-            }
-            return d;
+            return JalaliCore.correctDateOfMonth(year, month, date);
         },
 
         /**
          * Creates a new date instance based on the provided Jalali year, month (0-based) and date.
+         * The time is set to 12:00.
+         * @param {Number} year Jalali full year.
+         * @param {Number} month Jalali month (0-based).
+         * @param {Number} date Jalali date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         */
+        createJalali: function (year, month, date, timeZone) {
+            return JalaliCore.fromJalali(year, month, date, timeZone);
+        },
+
+        /**
+         * Creates a new date instance based on the provided Jalali year, month (0-based) and date, at 12:00 UTC.
          * @param {Number} year Jalali full year.
          * @param {Number} month Jalali month (0-based).
          * @param {Number} date Jalali date.
          */
-        createJalali: function (year, month, date) {
-            var g = Ext.Date.JalaliConverter.jalaliToGregorian([year, month + 1, date]);
-            return new Date(g[0], g[1] - 1, g[2], 12);
+        createJalaliUTC: function (year, month, date) {
+            return Ext.Date.createJalali(year, month, date, 0);
         },
 
         /**
-         * Parses a Jalali formatted date string (like "1389/06/09") and returns a Date object.
+         * Parses a Jalali formatted date string (like "1389/06/09" or "۱۳۸۹/۰۶/۰۹") and returns a Date object.
+         * Persian and Arabic-Indic digits are accepted.
          * @param {String} jalaliString Formatted string to parse.
          * @param {Boolean} strict True to validate date strings after parsing which will return null when invalid
          * (default is false).
          * @return {Date} A Date object which is set to the Gregorian conversion of input.
          */
         parseJalali: function (jalaliString, strict) {
-            var g, d,
-                split = jalaliString.split('/'),
-                jy = parseInt(split[0], 10),
-                jm = parseInt(split[1], 10),
-                jd = parseInt(split[2], 10);
-            if (isNaN(jy) || isNaN(jm) || isNaN(jd) || jy > 1500 || jy < 1 || jm > 12 || jm < 1 || jd > 31 || jd < 1) {
-                return null;
-            }
-            g = Ext.Date.JalaliConverter.jalaliToGregorian([jy, jm, jd]);
-            d = new Date(g[0], g[1] - 1, g[2], 12);
-            if (strict &&
-                    (!d || Ext.Date.getJalaliFullYear(d) !== jy || Ext.Date.getJalaliMonth(d) + 1 !== jm || Ext.Date.getJalaliDate(d) !== jd)) {
-                return null;
+            return JalaliCore.parse(jalaliString, 'Jalali', strict);
+        },
+
+        /**
+         * Parses shorthand input of Jalali dates: days, weeks, months or years from today (like "+3", "-2w", "+1m"
+         * or "-1y"), the today, yesterday and tomorrow texts of {@link #jalaliRelativeTexts}, and dates without
+         * separators (like "14020503" or "020503"). The dates are set to 12:00.
+         * @param {String} input The string to parse.
+         * @param {Boolean} strict (optional) True to return null for invalid dates without separators.
+         * @return {Date} The date, or null if the input is not shorthand.
+         */
+        parseJalaliShorthand: function (input, strict) {
+            return JalaliCore.parseShorthand(input, strict, getOptions());
+        },
+
+        /**
+         * Two-digit Jalali years (the b parse code) are taken within the 100 years ending this many years after the
+         * current Jalali year. With 20, in 1402, "21" is 1421 and "23" is 1323.
+         */
+        jalaliTwoDigitYearPivot: JalaliCore.defaults.twoDigitYearPivot,
+
+        /**
+         * Digit set used by Jalali format codes: 'latin', 'persian' or 'arabic' (Arabic-Indic).
+         * Keys of {@link #jalaliDigitSets}.
+         */
+        jalaliDigits: 'latin',
+
+        /**
+         * Digits of each digit set, from zero to nine.
+         */
+        jalaliDigitSets: JalaliCore.digitSets,
+
+        /**
+         * Replaces Persian and Arabic-Indic digits with Latin digits.
+         * @param {String} value String to normalize.
+         * @return {String} The string with Latin digits only.
+         */
+        normalizeJalaliDigits: function (value) {
+            return JalaliCore.normalizeDigits(value);
+        },
+
+        /**
+         * Writes the digits of a value in a digit set.
+         * @param {String/Number} value Value to convert.
+         * @param {String} digits (optional) Name of the digit set, defaults to {@link #jalaliDigits}.
+         * @return {String} The value with converted digits.
+         */
+        toJalaliDigits: function (value, digits) {
+            return JalaliCore.toDigits(value, digits || Ext.Date.jalaliDigits);
+        },
+
+        /**
+         * Parse codes of Jalali formats, the same object as JalaliCore.parseCodes. Each code has a regular
+         * expression with one capturing group (or a function taking the options and returning it) and a function (fn)
+         * that stores the captured value in the parsed result (with year, month, day, hour, minute, second,
+         * millisecond and meridian properties; month is 1-based). List of parse codes:
+         * <pre><code>
+         Code  Description
+         ----  --------------------------------------------------------------------------
+          B    Full Jalali year
+          b    Two digit Jalali year
+          Q q  Jalali month, with or without leading zero
+          R r  Jalali day of the month, with or without leading zero
+          e    Jalali month name, one of jalaliMonthNames or jalaliMonthAliases
+          f    Short Jalali month name, one of jalaliShortMonthNames
+          J    Jalali day of the year, starting from zero
+          E    Jalali day name, one of jalaliDayNames (not checked against the date)
+          p    Jalali season name, one of jalaliSeasonNames (not checked against the date)
+          k K  Jalali date like "1389/06/14", in any digit set
+          H G  24-hour format of an hour, with or without leading zero
+          h g  12-hour format of an hour, with or without leading zero
+          a A  Lowercase or uppercase ante meridiem and post meridiem
+          i    Minutes, with leading zero
+          s    Seconds, with leading zero
+          u    Decimal fraction of a second
+         * </code></pre>
+         * Backslash escapes a character. Other characters are separators and must match exactly.
+         */
+        jalaliParseCodes: JalaliCore.parseCodes,
+
+        /**
+         * Checks if a format contains Jalali codes. Escaped characters are skipped.
+         * @param {String} format Format to check.
+         * @return {Boolean} True if the format is a Jalali format.
+         */
+        isJalaliFormat: function (format) {
+            return JalaliCore.isJalaliFormat(format);
+        },
+
+        /**
+         * Formats whose parsers are created by {@link #createJalaliParser}, in order of creation.
+         */
+        jalaliParseFormats: [],
+
+        /**
+         * Creates a parser for a Jalali format and adds it to Ext.Date.parseFunctions and
+         * {@link #jalaliParseFormats}. The format may mix Jalali
+         * codes, time codes and any separators (see {@link #jalaliParseCodes}), like "B-Q-R", "R.Q.B", "r e B"
+         * or "B/Q/R H:i". A missing year defaults to the current Jalali year. A missing month or day defaults to
+         * the first one when a larger unit is given (so "B/Q" gives the first day of the month), or to today's
+         * otherwise. Dates without time are set to 12:00, like {@link #createJalali}.
+         * @param {String} format The Jalali format.
+         */
+        createJalaliParser: function (format) {
+            try {
+                JalaliCore.compile(format);
+            } catch (e) {
+                Ext.Error.raise(e.message);
             }
-            return d;
+            Ext.Date.jalaliParseFormats.push(format);
+            Ext.Date.parseFunctions[format] = function (input, strict) {
+                return JalaliCore.parse(input, format, strict, getOptions());
+            };
         },
 
         /**
          * Converts date to Jalali date.
          * @param {Date} gregorian date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
          * @return {Object} with jalaliYear, jalaliMonth (0-based) and jalaliDate properties.
          */
-        convertToJalali: function (date) {
-            var j = Ext.Date.JalaliConverter.gregorianToJalali([date.getFullYear(), date.getMonth() + 1, date.getDate()]);
-            return {
-                jalaliYear: j[0],
-                jalaliMonth: j[1] - 1,
-                jalaliDate: j[2]
-            };
+        convertToJalali: function (date, timeZone) {
+            return JalaliCore.toJalali(date, timeZone);
+        },
+
+        /**
+         * Converts date to Jalali date, in UTC.
+         * @param {Date} gregorian date
+         * @return {Object} with jalaliYear, jalaliMonth (0-based) and jalaliDate properties.
+         */
+        convertToJalaliUTC: function (date) {
+            return Ext.Date.convertToJalali(date, 0);
         },
 
         /**
@@ -140,58 +267,111 @@
         },
 
         /**
-         * Checks if the date or year is a Jalali leap year.
+         * Returns Jalali full year, in UTC.
+         * @param {Date} gregorian date
+         * @return {Number} Jalali year.
+         */
+        getJalaliFullYearUTC: function (date) {
+            return Ext.Date.convertToJalali(date, 0).jalaliYear;
+        },
+
+        /**
+         * Returns Jalali month, in UTC. Month is 0-based.
+         * @param {Date} gregorian date
+         * @return {Number} Jalali month of year (0-based).
+         */
+        getJalaliMonthUTC: function (date) {
+            return Ext.Date.convertToJalali(date, 0).jalaliMonth;
+        },
+
+        /**
+         * Returns Jalali date of month, in UTC.
+         * @param {Date} gregorian date
+         * @return {Number} Jalali date of month.
+         */
+        getJalaliDateUTC: function (date) {
+            return Ext.Date.convertToJalali(date, 0).jalaliDate;
+        },
+
+        /**
+         * Checks if the date or year is a Jalali leap year, using the selected
+         * {@link Ext.Date.JalaliConverter#algorithm algorithm}.
          * @param {Date/Number} date Gregorian date or Jalali year
          * @return {Boolean} True if the current date or year is a Jalali leap year, false otherwise.
          */
         isJalaliLeapYear: function (date) {
-            var year = date;
-            if (Object.prototype.toString.call(date) === '[object Date]') {
-                year = Ext.Date.convertToJalali(date).jalaliYear;
-            }
-            return Ext.Date.isJalaliValid(year, 12, 30);
+            return JalaliCore.isLeapYear(date);
         },
 
         /**
          * Provides a convenient method for performing basic Jalali date arithmetic. It creates and returns
-         * a new Date instance containing the resulting date value.
+         * a new Date instance containing the resulting date value. The time of day is kept, even when
+         * daylight saving time changes in between.
+         *
+         * <p>Jalali intervals are Ext.Date.DAY, Ext.Date.WEEK, Ext.Date.MONTH, Ext.Date.QUARTER (a season)
+         * and Ext.Date.YEAR. Time intervals (Ext.Date.HOUR, Ext.Date.MINUTE, Ext.Date.SECOND and Ext.Date.MILLI)
+         * work like Ext.Date.add. When the resulting month is shorter, the date is moved to its last day.
          * @param {Date} date Starting date
          * @param {String} interval A valid date interval enum value.
          * @param {Number} value The amount to add to the current date.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
          * @return {Date} The new Date instance.
          */
-        addJalali: function (date, interval, value) {
-            var jd, gd,
-                d = new Date(date.getTime());
-            if (!interval || value === 0) {
-                return d;
-            }
+        addJalali: function (date, interval, value, timeZone) {
+            return JalaliCore.add(date, interval, value, timeZone);
+        },
 
-            jd = Ext.Date.convertToJalali(d);
-
-            switch (interval.toLowerCase()) {
-            case Ext.Date.DAY:
-                jd.jalaliDate += value;
-                break;
-            case Ext.Date.MONTH:
-                jd.jalaliMonth += value;
-                jd.jalaliYear += Math.floor(jd.jalaliMonth / 12);
-                jd.jalaliMonth %= 12;
-                if (jd.jalaliMonth < 0) {
-                    jd.jalaliMonth += 12;
-                }
-                jd.jalaliDate = Ext.Date.correctJalaliDateOfMonth(jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate);
-                break;
-            case Ext.Date.YEAR:
-                jd.jalaliYear += value;
-                jd.jalaliDate = Ext.Date.correctJalaliDateOfMonth(jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate);
-                break;
-            }
-            gd = Ext.Date.JalaliConverter.jalaliToGregorian([jd.jalaliYear, jd.jalaliMonth + 1, jd.jalaliDate]);
-            d.setFullYear(gd[0]);
-            d.setMonth(gd[1] - 1);
-            d.setDate(gd[2]);
-            return d;
+        /**
+         * Returns the difference between two dates in whole Jalali units. The time of day is ignored. Months are
+         * counted like {@link #addJalali}, so from 31 Shahrivar to 30 Mehr is one month.
+         *
+         * <p>Without a unit, it returns an object with years, months and days properties (like 1 year, 2 months
+         * and 10 days). With a unit (Ext.Date.DAY, Ext.Date.WEEK, Ext.Date.MONTH, Ext.Date.QUARTER or
+         * Ext.Date.YEAR), it returns the number of whole units. Values are negative when max is before min.
+         * <pre><code>
+         var start = Ext.Date.createJalali(1395, 5, 31),
+             end = Ext.Date.createJalali(1402, 6, 30);
+         console.log(Ext.Date.diffJalali(start, end));                     // {years: 7, months: 1, days: 0}
+         console.log(Ext.Date.diffJalali(start, end, Ext.Date.MONTH));     // 85
+         * </code></pre>
+         * @param {Date} min The start date.
+         * @param {Date} max The end date.
+         * @param {String} unit (optional) The unit.
+         * @return {Object/Number} The difference.
+         */
+        diffJalali: function (min, max, unit) {
+            return JalaliCore.diff(min, max, unit);
+        },
+
+        /**
+         * Describes a date relative to a reference date, like "today", "yesterday", "3 days ago", "next week" or
+         * "in 2 months", with the texts of {@link #jalaliRelativeTexts} and the digits of {@link #jalaliDigits}.
+         * The time of day is ignored. Up to a week it counts days, then calendar weeks (starting on
+         * {@link #jalaliStartDay}) within a Jalali month, then Jalali months and years, counted like
+         * {@link #addJalali}.
+         * <pre><code>
+         var now = Ext.Date.createJalali(1402, 6, 30);
+         console.log(Ext.Date.formatJalaliRelative(Ext.Date.createJalali(1402, 6, 27), now)); // 3 days ago
+         console.log(Ext.Date.formatJalaliRelative(Ext.Date.createJalali(1402, 5, 31), now)); // last month
+         * </code></pre>
+         * @param {Date} date The date.
+         * @param {Date} now (optional) The reference date. Defaults to the current date.
+         * @return {String} The relative text.
+         */
+        formatJalaliRelative: function (date, now) {
+            return JalaliCore.relative(date, now, getOptions());
+        },
+
+        /**
+         * Performs Jalali date arithmetic in UTC. See {@link #addJalali}.
+         * @param {Date} date Starting date
+         * @param {String} interval A valid date interval enum value.
+         * @param {Number} value The amount to add to the current date.
+         * @return {Date} The new Date instance.
+         */
+        addJalaliUTC: function (date, interval, value) {
+            return Ext.Date.addJalali(date, interval, value, 0);
         },
 
         /**
@@ -200,47 +380,271 @@
          * @return {Number} The number of days in the current Jalali month.
          */
         getJalaliDaysInMonth: function (date) {
-            var days, jd = Ext.Date.convertToJalali(date);
-            if (jd.jalaliMonth < 6) {
-                days = 31;
-            } else if (jd.jalaliMonth < 11) {
-                days = 30;
-            } else if (Ext.Date.isJalaliLeapYear(jd.jalaliYear)) {
-                days = 30;
-            } else {
-                days = 29;
-            }
-            return days;
+            return JalaliCore.getDaysInMonth(date);
         },
 
         /**
          * Returns the date of the first day of the Jalali month.
          * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
          * @return {Date} The date of the first day of the Jalali month.
          */
-        getJalaliFirstDateOfMonth: function (date) {
-            var jd = Ext.Date.convertToJalali(date);
-            return Ext.Date.createJalali(jd.jalaliYear, jd.jalaliMonth, 1);
+        getJalaliFirstDateOfMonth: function (date, timeZone) {
+            return JalaliCore.getFirstDateOfMonth(date, timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali month, in UTC.
+         * @param {Date} date Starting date
+         * @return {Date} The date of the first day of the Jalali month, at 12:00 UTC.
+         */
+        getJalaliFirstDateOfMonthUTC: function (date) {
+            return Ext.Date.getJalaliFirstDateOfMonth(date, 0);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali month.
+         * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the last day of the Jalali month.
+         */
+        getJalaliLastDateOfMonth: function (date, timeZone) {
+            return JalaliCore.getLastDateOfMonth(date, timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali year (1 Farvardin).
+         * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the first day of the Jalali year.
+         */
+        getJalaliFirstDateOfYear: function (date, timeZone) {
+            return JalaliCore.getFirstDateOfYear(date, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali year (29 or 30 Esfand).
+         * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the last day of the Jalali year.
+         */
+        getJalaliLastDateOfYear: function (date, timeZone) {
+            return JalaliCore.getLastDateOfYear(date, timeZone);
+        },
+
+        /**
+         * Returns the date of the first day of the Jalali season.
+         * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the first day of the Jalali season.
+         */
+        getJalaliFirstDateOfSeason: function (date, timeZone) {
+            return JalaliCore.getFirstDateOfSeason(date, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the Jalali season.
+         * @param {Date} date Starting date
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the last day of the Jalali season.
+         */
+        getJalaliLastDateOfSeason: function (date, timeZone) {
+            return JalaliCore.getLastDateOfSeason(date, timeZone);
+        },
+
+        /**
+         * First day of Jalali weeks, used by {@link #getJalaliFirstDateOfWeek} and {@link #getJalaliLastDateOfWeek}
+         * when no start day is given. 0-based (Sunday is 0), defaults to Saturday.
+         */
+        jalaliStartDay: 6,
+
+        /**
+         * Returns the date of the first day of the week.
+         * @param {Date} date Starting date
+         * @param {Number} startDay (optional) First day of the week, 0-based (Sunday is 0). Defaults to
+         * {@link #jalaliStartDay}.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the first day of the week.
+         */
+        getJalaliFirstDateOfWeek: function (date, startDay, timeZone) {
+            if (startDay === undefined || startDay === null) {
+                startDay = Ext.Date.jalaliStartDay;
+            }
+            return JalaliCore.getFirstDateOfWeek(date, startDay, timeZone);
+        },
+
+        /**
+         * Returns the date of the last day of the week.
+         * @param {Date} date Starting date
+         * @param {Number} startDay (optional) First day of the week, 0-based (Sunday is 0). Defaults to
+         * {@link #jalaliStartDay}.
+         * @param {Number/String} timeZone (optional) Offset from UTC in minutes (like 210 for +03:30), or an IANA
+         * time zone name (like 'Asia/Tehran'). Defaults to local time.
+         * @return {Date} The date of the last day of the week.
+         */
+        getJalaliLastDateOfWeek: function (date, startDay, timeZone) {
+            return Ext.Date.addJalali(Ext.Date.getJalaliFirstDateOfWeek(date, startDay, timeZone), Ext.Date.DAY, 6,
+                    timeZone);
+        },
+
+        /**
+         * Returns the number of days in the Jalali year.
+         * @param {Date} date The date
+         * @return {Number} 366 in leap years, 365 otherwise.
+         */
+        getJalaliDaysInYear: function (date) {
+            return JalaliCore.getDaysInYear(date);
+        },
+
+        /**
+         * Checks if two dates are in the same Jalali month of the same year.
+         * @param {Date} date1 The first date
+         * @param {Date} date2 The second date
+         * @return {Boolean} True if both dates are in the same Jalali month.
+         */
+        isSameJalaliMonth: function (date1, date2) {
+            return JalaliCore.isSameMonth(date1, date2);
+        },
+
+        /**
+         * Checks if two dates are in the same Jalali year.
+         * @param {Date} date1 The first date
+         * @param {Date} date2 The second date
+         * @return {Boolean} True if both dates are in the same Jalali year.
+         */
+        isSameJalaliYear: function (date1, date2) {
+            return JalaliCore.isSameYear(date1, date2);
+        },
+
+        /**
+         * Returns the day of the Jalali year, starting from zero.
+         * @param {Date} date The date
+         * @return {Number} 0 to 365 (365 in leap years only).
+         */
+        getJalaliDayOfYear: function (date) {
+            return JalaliCore.getDayOfYear(date);
+        },
+
+        /**
+         * Returns the week number of the Jalali year. Weeks start on Saturday and the first week is the one
+         * containing 1 Farvardin.
+         * @param {Date} date The date
+         * @return {Number} 1 to 53.
+         */
+        getJalaliWeekOfYear: function (date) {
+            return JalaliCore.getWeekOfYear(date);
+        },
+
+        /**
+         * Returns the Jalali season: 0 for spring (Farvardin to Khordad) to 3 for winter (Dey to Esfand).
+         * @param {Date} date The date
+         * @return {Number} Jalali season (0-based).
+         */
+        getJalaliSeason: function (date) {
+            return JalaliCore.getSeason(date);
         },
 
         /**
          * Month names of Jalali calendar. Override this for localization.
          */
-        jalaliMonthNames: [
-            'Farvardin',
-            'Ordibehesht',
-            'Khordad',
-            'Tir',
-            'Amordad',
-            'Shahrivar',
-            'Mehr',
-            'Aban',
-            'Azar',
-            'Dey',
-            'Bahman',
-            'Esfand'
-        ]
+        jalaliMonthNames: JalaliCore.defaults.monthNames,
+
+        /**
+         * Short month names of Jalali calendar. Override this for localization.
+         */
+        jalaliShortMonthNames: JalaliCore.defaults.shortMonthNames,
+
+        /**
+         * Day names in Jalali calendar, starting from Sunday like Ext.Date.dayNames. Override this for localization.
+         */
+        jalaliDayNames: JalaliCore.defaults.dayNames,
+
+        /**
+         * Season names of Jalali calendar, from spring. Override this for localization.
+         */
+        jalaliSeasonNames: JalaliCore.defaults.seasonNames,
+
+        /**
+         * Other accepted names of Jalali months when parsing, mapped to month numbers (0-based).
+         * Override this for localization.
+         */
+        jalaliMonthAliases: JalaliCore.defaults.monthAliases,
+
+        /**
+         * Texts of {@link #formatJalaliRelative}: today, yesterday, tomorrow, lastWeek, nextWeek, lastMonth,
+         * nextMonth, lastYear and nextYear, the units days, weeks, months and years ({0} is the count), and past and
+         * future ({0} is the distance, like "3 days"). Override this for localization.
+         */
+        jalaliRelativeTexts: JalaliCore.defaults.relativeTexts,
+
+        /**
+         * Formats a date like Ext.Date.format, with options of JalaliCore for its Jalali codes. Other codes are
+         * formatted by Ext.Date.format.
+         * <pre><code>
+         // Sunday, ۱۴ Shahrivar ۱۳۸۹
+         console.log(Ext.Date.formatJalali(new Date(), 'l, r e B', {digits: 'persian'}));
+         * </code></pre>
+         * @param {Date} date The date.
+         * @param {String} format The format, or 'Jalali'.
+         * @param {Object} options (optional) Options of JalaliCore, like digits, over the names and digits of
+         * Ext.Date.
+         * @return {String} The formatted date.
+         */
+        formatJalali: function (date, format, options) {
+            var result = '',
+                special = false,
+                i, ch;
+
+            if (format === 'Jalali') {
+                return JalaliCore.format(date, format, Ext.apply(getOptions(), options));
+            }
+            for (i = 0; i < format.length; i += 1) {
+                ch = format.charAt(i);
+                if (!special && ch === '\\') {
+                    special = true;
+                } else if (special) {
+                    special = false;
+                    result += ch;
+                } else if (JalaliCore.formatCodes[ch]) {
+                    result += Ext.Date.formatJalaliCode(date, ch, options);
+                } else if (Ext.Date.formatCodes[ch]) {
+                    result += Ext.Date.format(date, ch);
+                } else {
+                    result += ch;
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Formats a date with one of the Jalali format codes of JalaliCore, using the names and digits of Ext.Date.
+         * @param {Date} date The date.
+         * @param {String} code The format code.
+         * @param {Object} options (optional) Options of JalaliCore over the names and digits of Ext.Date.
+         * @return {String} The formatted value.
+         * @private
+         */
+        formatJalaliCode: function (date, code, options) {
+            return JalaliCore.formatCodes[code](date, Ext.apply(getOptions(), options));
+        }
     }, function () {
+        /**
+         * Date interval constant for weeks, used by {@link Ext.Date#addJalali} and {@link Ext.Date#diffJalali}.
+         */
+        Ext.Date.WEEK = Ext.Date.WEEK || JalaliCore.WEEK;
+
+        /**
+         * Date interval constant for quarters, which are seasons in Jalali calendar.
+         */
+        Ext.Date.QUARTER = Ext.Date.QUARTER || JalaliCore.QUARTER;
+
         /**
          * Jalali format codes. List of Jalali format codes:
          * <pre><code>
@@ -253,35 +657,36 @@
            e     Full textual representation of Jalali month                          Farvardin to Esfand
            b     Short representation of Jalali year, 2 digits                        89 or 60
            B     Full numeric representation of Jalali year, 4 digits                 1389 or 1360
+           k     Jalali date in Persian digits                                        ۱۳۸۹/۰۶/۱۴
+           K     Jalali date in Arabic-Indic digits                                   ١٣٨٩/٠٦/١٤
+           f     Short textual representation of Jalali month                         Far to Esf
+           E     Full textual representation of the day of the week, Jalali names     Yekshanbeh to Shanbeh
+           J     Jalali day of the year (starting from 0)                             0 to 365
+           V     Jalali week number of year, weeks starting on Saturday               01 to 53
+           p     Jalali season name                                                   Bahar to Zemestan
          * </code></pre>
+         * Numeric codes are written in the digit set selected by {@link Ext.Date#jalaliDigits}.
          * Example usage:
          * <pre><code>
          var d = new Date();
          console.log(Ext.Date.format(d, 'B/Q/R'));     // 1389/06/14
          console.log(Ext.Date.format(d, 'b/q/r'));     // 89/6/14
          console.log(Ext.Date.format(d, 'l, r e B'));  // Sunday, 14 Shahrivar 1389
+         console.log(Ext.Date.format(d, 'E, r f B'));  // Yekshanbeh, 14 Sha 1389
          * </code></pre>
          */
-        Ext.apply(Ext.Date.formatCodes, {
-            r: "Ext.Date.getJalaliDate(this)",
-            R: "Ext.String.leftPad(Ext.Date.getJalaliDate(this), 2, '0')",
-            q: "(Ext.Date.getJalaliMonth(this) + 1)",
-            Q: "Ext.String.leftPad(Ext.Date.getJalaliMonth(this) + 1, 2, '0')",
-            e: "Ext.Date.jalaliMonthNames[Ext.Date.getJalaliMonth(this)]",
-            b: "('' + Ext.Date.getJalaliFullYear(this)).substring(2, 4)",
-            B: "Ext.Date.getJalaliFullYear(this)"
+        Ext.Object.each(JalaliCore.formatCodes, function (code) {
+            Ext.Date.formatCodes[code] = "Ext.Date.formatJalaliCode(this, '" + code + "')";
         });
 
         Ext.apply(Ext.Date.formatFunctions, {
             /**
-             * Formats date instances using Jalali format (like: "1389/06/14").
+             * Formats date instances using Jalali format (like: "1389/06/14"), in the digit set selected by
+             * {@link Ext.Date#jalaliDigits}.
              * @return {String} Textual representation of Jalali date.
              */
             'Jalali': function () {
-                var jd = Ext.Date.convertToJalali(this);
-                return jd.jalaliYear + '/' +
-                        Ext.String.leftPad(jd.jalaliMonth + 1, 2, '0') + '/' +
-                        Ext.String.leftPad(jd.jalaliDate, 2, '0');
+                return JalaliCore.format(this, 'Jalali', getOptions());
             }
         });
 
@@ -293,70 +698,63 @@
              * (default is false).
              * @return {Date} A Date object which is set to the Gregorian conversion of input.
              */
-            'Jalali': Ext.Date.parseJalali,
-            'B/Q/R': Ext.Date.parseJalali,
-            'B/q/r': Ext.Date.parseJalali,
-            'b/q/r': function (value, strict) {
-                return Ext.Date.parseJalali('13' + value, strict);
-            },
-            'b/Q/R': function (value, strict) {
-                return Ext.Date.parseJalali('13' + value, strict);
-            },
-            'B': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(value + '/' + (Ext.Date.getJalaliMonth(now) + 1) + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'b': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali('13' + value + '/' + (Ext.Date.getJalaliMonth(now) + 1) + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'Q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'r': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + (Ext.Date.getJalaliMonth(now) + 1) + '/' + value, strict);
-            },
-            'R': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + (Ext.Date.getJalaliMonth(now) + 1) + '/' + value, strict);
-            },
-            'b/q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali('13' + value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'B/q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'B/Q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'b/Q': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali('13' + value + '/' + Ext.Date.getJalaliDate(now), strict);
-            },
-            'q/r': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value, strict);
-            },
-            'Q/r': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value, strict);
-            },
-            'Q/R': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value, strict);
-            },
-            'q/R': function (value, strict) {
-                var now = new Date();
-                return Ext.Date.parseJalali(Ext.Date.getJalaliFullYear(now) + '/' + value, strict);
+            'Jalali': Ext.Date.parseJalali
+        });
+
+        /**
+         * Formats a date in Jalali calendar, for renderers and templates, like {@link Ext.util.Format#date}:
+         * <pre><code>
+         new Ext.XTemplate('{hired:jalaliDate("r e B")}');
+         new Ext.XTemplate('{hired:jalaliDate("r e B", "persian")}');
+         * </code></pre>
+         * @param {Date/String} value The value to format. Strings are parsed with Date.parse.
+         * @param {String} format (optional) Any valid date format string. Defaults to 'B/Q/R'.
+         * @param {String} digits (optional) Name of the digit set of numeric Jalali codes for this call only ('latin',
+         * 'persian' or 'arabic'). Defaults to {@link Ext.Date#jalaliDigits}.
+         * @return {String} The formatted date string.
+         * @member Ext.util.Format
+         */
+        Ext.util.Format.jalaliDate = function (value, format, digits) {
+            if (!value) {
+                return '';
+            }
+            if (!Ext.isDate(value)) {
+                value = new Date(Date.parse(value));
+            }
+            if (digits) {
+                return Ext.Date.formatJalali(value, format || 'B/Q/R', {digits: digits});
+            }
+            return Ext.Date.format(value, format || 'B/Q/R');
+        };
+
+        /**
+         * Describes a date relative to now in Jalali calendar, for renderers and templates, like "yesterday" or
+         * "next month". See {@link Ext.Date#formatJalaliRelative}.
+         * <pre><code>
+         new Ext.XTemplate('{due:jalaliRelative}');
+         * </code></pre>
+         * @param {Date/String} value The value to format. Strings are parsed with Date.parse.
+         * @param {Date} now (optional) The reference date. Defaults to the current date.
+         * @return {String} The relative text.
+         * @member Ext.util.Format
+         */
+        Ext.util.Format.jalaliRelative = function (value, now) {
+            if (!value) {
+                return '';
+            }
+            if (!Ext.isDate(value)) {
+                value = new Date(Date.parse(value));
+            }
+            return Ext.Date.formatJalaliRelative(value, now);
+        };
+
+        /*
+         * Formats containing Jalali codes get a Jalali parser, built by Ext.Date.createJalaliParser.
+         */
+        Ext.Date.createParser = Ext.Function.createInterceptor(Ext.Date.createParser, function (format) {
+            if (Ext.Date.isJalaliFormat(format)) {
+                Ext.Date.createJalaliParser(format);
+                return false;
             }
         });
     });
@@ -0,0 +1,97 @@
+/**
+ * @class Ext.ux.JalaliDateColumn
+ *
+ * <p>A grid column that renders dates in Jalali calendar, with {@link Ext.util.Format#jalaliDate}. Set editor to
+ * true to edit cells with a DateField having {@link Ext.ux.JalaliDatePlugin}, or to an object to configure it:
+ * <pre><code>
+ Ext.create('Ext.grid.Panel', {
+     store: store,
+     plugins: [{ptype: 'cellediting'}],
+     columns: [
+         {text: 'Name', dataIndex: 'name'},
+         {text: 'Hired', dataIndex: 'hired', xtype: 'jalalidatecolumn', format: 'r e B', editor: true}
+     ]
+ });
+ * </code></pre>
+ *
+ * <p>Dates are sorted as usual, which is the order of Jalali dates too. To group records by Jalali month or year,
+ * use a grouper created by {@link #createGrouper}:
+ * <pre><code>
+ store.group(Ext.ux.JalaliDateColumn.createGrouper('hired', 'month'));
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateColumn', {
+        extend: 'Ext.grid.column.Date',
+        alias: 'widget.jalalidatecolumn',
+        requires: ['Ext.ux.JalaliDatePlugin', 'Ext.util.Grouper'],
+
+        /**
+         * @cfg {String} format A Jalali (or any other) date format string for rendering.
+         */
+        format: 'B/Q/R',
+
+        statics: {
+            /**
+             * Group formats by unit, for {@link #createGrouper}.
+             */
+            groupFormats: {
+                month: 'e B',
+                year: 'B'
+            },
+
+            /**
+             * Creates a grouper that groups records by Jalali month or year of a date field. Group names are the
+             * Jalali month and year, like "Mordad 1402", or the year.
+             * @param {String} property The name of the date field.
+             * @param {String} unit (optional) 'month' (default) or 'year'.
+             * @param {String} direction (optional) 'ASC' (default) or 'DESC'.
+             * @return {Ext.util.Grouper} The grouper.
+             */
+            createGrouper: function (property, unit, direction) {
+                var format = this.groupFormats[unit || 'month'],
+                    config = {
+                        property: property,
+                        direction: direction || 'ASC',
+                        sorterFn: function (a, b) {
+                            return (a.get(property) || 0) - (b.get(property) || 0);
+                        }
+                    },
+                    groupString = function (record) {
+                        var value = record.get(property);
+                        return value ? Ext.Date.format(value, format) : '';
+                    };
+
+                if (!format) {
+                    Ext.Error.raise('Unknown group unit: ' + unit);
+                }
+                // Ext 5 and later take groupFn instead of getGroupString
+                config[Ext.util.Grouper.prototype.getGroupFn ? 'groupFn' : 'getGroupString'] = groupString;
+                return new Ext.util.Grouper(config);
+            }
+        },
+
+        initComponent: function () {
+            var me = this;
+            if (me.editor === true || (Ext.isObject(me.editor) && !me.editor.isComponent && !me.editor.xtype)) {
+                me.editor = Ext.apply({
+                    xtype: 'datefield',
+                    plugins: ['jalalidate']
+                }, Ext.isObject(me.editor) ? me.editor : null);
+            }
+            me.callParent(arguments);
+        },
+
+        defaultRenderer: function (value) {
+            return Ext.util.Format.jalaliDate(value, this.format);
+        },
+
+        /**
+         * Updates a cell of Ext 5 and later, when its value changes.
+         * @private
+         */
+        updater: function (cell, value) {
+            Ext.fly(cell).down(this.getView().innerSelector, true).innerHTML = this.defaultRenderer(value);
+        }
+    });
+}());
@@ -0,0 +1,100 @@
+/**
+ * @class Ext.ux.JalaliDateFilter
+ *
+ * <p>A Jalali date filter for Ext.ux.grid.FiltersFeature (from Ext examples). Its before, after and on pickers
+ * have {@link Ext.ux.JalaliDatePlugin}, its menu items show their values in Jalali format, and it has preset ranges
+ * for this month, last month, this season, this year and fiscal year to date:
+ * <pre><code>
+ Ext.create('Ext.grid.Panel', {
+     store: store,
+     features: [{ftype: 'filters', local: true}],
+     columns: [
+         {text: 'Hired', dataIndex: 'hired', xtype: 'jalalidatecolumn', filter: {type: 'jalalidate'}}
+     ]
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateFilter', {
+        extend: 'Ext.ux.grid.filter.DateFilter',
+        alias: 'gridfilter.jalalidate',
+        requires: ['Ext.ux.JalaliDatePlugin'],
+
+        /**
+         * @cfg {String} displayFormat Format of the values shown in menu items.
+         */
+        displayFormat: 'B/Q/R',
+
+        /**
+         * @cfg {Number} fiscalYearStartMonth Jalali month (0-based) of the first day of fiscal years.
+         */
+        fiscalYearStartMonth: 0,
+
+        /**
+         * @cfg {String[]} presets Preset ranges shown in the menu. False or an empty array to hide them.
+         */
+        presets: ['thisMonth', 'lastMonth', 'thisSeason', 'thisYear', 'fiscalYearToDate'],
+
+        thisMonthText: 'This month',
+        lastMonthText: 'Last month',
+        thisSeasonText: 'This season',
+        thisYearText: 'This year',
+        fiscalYearToDateText: 'Fiscal year to date',
+
+        init: function (config) {
+            var me = this;
+
+            Ext.apply(me, config, Ext.ux.JalaliDatePlugin.localization.DateFilter);
+            me.pickerOpts = Ext.apply({plugins: ['jalalidate']}, me.pickerOpts);
+            me.callParent(arguments);
+
+            if (me.presets && me.presets.length) {
+                me.menu.add('-');
+                Ext.each(me.presets, function (preset) {
+                    me.menu.add({
+                        text: me[preset + 'Text'],
+                        handler: Ext.Function.bind(me.selectPreset, me, [preset])
+                    });
+                });
+            }
+            me.on('update', me.updateItemTexts, me);
+        },
+
+        /**
+         * Shows the values of checked menu items in Jalali format, like "Before: 1402/05/03".
+         * @private
+         */
+        updateItemTexts: function () {
+            var me = this,
+                key,
+                field,
+                value;
+
+            for (key in me.fields) {
+                if (me.fields.hasOwnProperty(key)) {
+                    field = me.fields[key];
+                    value = me.values[key];
+                    field.setText(me[key + 'Text'] +
+                            (field.checked && value ? ': ' + Ext.Date.format(value, me.displayFormat) : ''));
+                }
+            }
+        },
+
+        /**
+         * Filters one of the preset ranges. The range is set with after and before items.
+         * @param {String} preset One of 'thisMonth', 'lastMonth', 'thisSeason', 'thisYear' and 'fiscalYearToDate'.
+         */
+        selectPreset: function (preset) {
+            var eDate = Ext.Date,
+                range = Ext.ux.JalaliDatePlugin.getPresetRange(preset, this.fiscalYearStartMonth);
+
+            if (!range) {
+                Ext.Error.raise('Unknown preset: ' + preset);
+            }
+            this.setValue({
+                after: eDate.add(range[0], eDate.DAY, -1),
+                before: eDate.add(range[1], eDate.DAY, 1)
+            });
+        }
+    });
+}());
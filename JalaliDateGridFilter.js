@@ -0,0 +1,139 @@
+/**
+ * @class Ext.ux.JalaliDateGridFilter
+ *
+ * <p>A Jalali date filter for the gridfilters plugin of Ext 5 and later, like {@link Ext.ux.JalaliDateFilter} for
+ * Ext 4. Its before, after and on pickers have {@link Ext.ux.JalaliDatePlugin}, its menu items show their values in
+ * Jalali format, and it has preset ranges for this month, last month, this season, this year and fiscal year to date:
+ * <pre><code>
+ Ext.create('Ext.grid.Panel', {
+     store: store,
+     plugins: ['gridfilters'],
+     columns: [
+         {text: 'Hired', dataIndex: 'hired', xtype: 'jalalidatecolumn', filter: {type: 'jalalidate'}}
+     ]
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateGridFilter', {
+        extend: 'Ext.grid.filters.filter.Date',
+        alias: 'grid.filter.jalalidate',
+        requires: ['Ext.ux.JalaliDatePlugin'],
+
+        config: {
+            pickerDefaults: {
+                xtype: 'datepicker',
+                border: 0,
+                plugins: ['jalalidate']
+            }
+        },
+
+        /**
+         * @cfg {String} displayFormat Format of the values shown in menu items.
+         */
+        displayFormat: 'B/Q/R',
+
+        /**
+         * @cfg {Number} fiscalYearStartMonth Jalali month (0-based) of the first day of fiscal years.
+         */
+        fiscalYearStartMonth: 0,
+
+        /**
+         * @cfg {String[]} presets Preset ranges shown in the menu. False or an empty array to hide them.
+         */
+        presets: ['thisMonth', 'lastMonth', 'thisSeason', 'thisYear', 'fiscalYearToDate'],
+
+        beforeText: 'Before',
+        afterText: 'After',
+        onText: 'On',
+        thisMonthText: 'This month',
+        lastMonthText: 'Last month',
+        thisSeasonText: 'This season',
+        thisYearText: 'This year',
+        fiscalYearToDateText: 'Fiscal year to date',
+
+        /**
+         * @property {Object} textKeys Keys of menu item texts, by operator.
+         * @private
+         */
+        textKeys: {lt: 'beforeText', gt: 'afterText', eq: 'onText'},
+
+        constructor: function (config) {
+            var me = this;
+
+            config = Ext.apply({}, config);
+            Ext.apply(me, config, Ext.ux.JalaliDatePlugin.localization.DateFilter);
+            config.fields = Ext.merge({
+                lt: {text: me.beforeText},
+                gt: {text: me.afterText},
+                eq: {text: me.onText}
+            }, config.fields);
+            me.callParent([config]);
+        },
+
+        createMenu: function () {
+            var me = this;
+
+            me.callParent(arguments);
+            if (me.presets && me.presets.length) {
+                me.menu.add('-');
+                Ext.each(me.presets, function (preset) {
+                    me.menu.add({
+                        text: me[preset + 'Text'],
+                        handler: Ext.Function.bind(me.selectPreset, me, [preset])
+                    });
+                });
+            }
+            me.updateItemTexts();
+        },
+
+        setValue: function () {
+            this.callParent(arguments);
+            this.updateItemTexts();
+        },
+
+        /**
+         * Shows the values of menu items in Jalali format, like "Before: 1402/05/03".
+         * @private
+         */
+        updateItemTexts: function () {
+            var me = this,
+                key,
+                value;
+
+            if (!me.fields) {
+                return;
+            }
+            for (key in me.fields) {
+                if (me.fields.hasOwnProperty(key)) {
+                    value = me.filter[key].getValue();
+                    me.fields[key].up('menuitem').setText(me[me.textKeys[key]] +
+                        (value ? ': ' + Ext.Date.format(new Date(value), me.displayFormat) : ''));
+                }
+            }
+        },
+
+        /**
+         * Filters one of the preset ranges. The range is set with after and before items.
+         * @param {String} preset One of 'thisMonth', 'lastMonth', 'thisSeason', 'thisYear' and 'fiscalYearToDate'.
+         */
+        selectPreset: function (preset) {
+            var me = this,
+                eDate = Ext.Date,
+                range = Ext.ux.JalaliDatePlugin.getPresetRange(preset, me.fiscalYearStartMonth);
+
+            if (!range) {
+                Ext.Error.raise('Unknown preset: ' + preset);
+            }
+            me.setValue({
+                gt: eDate.add(range[0], eDate.DAY, -1),
+                lt: eDate.add(range[1], eDate.DAY, 1)
+            });
+            if (me.fields) {
+                me.fields.eq.up('menuitem').setChecked(false, true);
+                me.fields.gt.up('menuitem').setChecked(true, true);
+                me.fields.lt.up('menuitem').setChecked(true, true);
+            }
+        }
+    });
+}());
@@ -0,0 +1,497 @@
+/**
+ * @class Ext.ux.JalaliDateLocales
+ *
+ * <p>A registry of locales for Jalali components. Unlike JalaliDatePlugin-fa_IR.js, which localizes all components
+ * of a page with the fa_IR locale, a locale is selected by each component with its locale config, so a Persian
+ * picker can be shown next to an English or Dari one:
+ * <pre><code>
+ Ext.create('Ext.picker.Date', {
+     renderTo: Ext.getBody(),
+     plugins: ['jalalidate'],
+     locale: 'fa_AF'
+ });
+ * </code></pre>
+ *
+ * <p>fa_IR (Persian), en (English), fa_AF (Dari), ckb (Central Kurdish) and ps (Pashto) are registered. Each locale
+ * has a date object, with the properties of Ext.Date it replaces (month, day and season names, first day of weeks,
+ * digit set and texts of relative dates), and the texts and formats of components, keyed like
+ * {@link Ext.ux.JalaliDatePlugin#localization}.
+ * Other locales can be added, or registered ones changed, with {@link #add}.
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateLocales', {
+        singleton: true,
+        requires: ['Ext.ux.JalaliDate'],
+
+        /**
+         * @property {Object} locales Registered locales, by name. Use {@link #add} to change them.
+         */
+        locales: {
+            'fa_IR': {
+                date: {
+                    jalaliMonthNames: ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'امرداد', 'شهریور', 'مهر', 'آبان', 'آذر',
+                        'دی', 'بهمن', 'اسفند'],
+                    jalaliShortMonthNames: ['فرو', 'ارد', 'خرد', 'تیر', 'امر', 'شهر', 'مهر', 'آبا', 'آذر', 'دی', 'بهم',
+                        'اسف'],
+                    jalaliMonthAliases: {'مرداد': 4},
+                    jalaliDayNames: ['یک‌شنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنج‌شنبه', 'آدینه', 'شنبه'],
+                    jalaliSeasonNames: ['بهار', 'تابستان', 'پاییز', 'زمستان'],
+                    hijriMonthNames: ['محرم', 'صفر', 'ربیع‌الاول', 'ربیع‌الثانی', 'جمادی‌الاول', 'جمادی‌الثانی', 'رجب',
+                        'شعبان', 'رمضان', 'شوال', 'ذی‌القعده', 'ذی‌الحجه'],
+                    jalaliStartDay: 6,
+                    jalaliDigits: 'persian',
+                    jalaliRelativeTexts: {
+                        today: 'امروز',
+                        yesterday: 'دیروز',
+                        tomorrow: 'فردا',
+                        lastWeek: 'هفته گذشته',
+                        nextWeek: 'هفته آینده',
+                        lastMonth: 'ماه گذشته',
+                        nextMonth: 'ماه آینده',
+                        lastYear: 'سال گذشته',
+                        nextYear: 'سال آینده',
+                        days: '{0} روز',
+                        weeks: '{0} هفته',
+                        months: '{0} ماه',
+                        years: '{0} سال',
+                        past: '{0} پیش',
+                        future: '{0} دیگر'
+                    }
+                },
+                DatePicker: {
+                    dayNames: ['یک‌شنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنج‌شنبه', 'آدینه', 'شنبه'],
+                    longDayFormat: 'r e B',
+                    monthYearFormat: 'e B',
+                    format: 'B/Q/R',
+                    todayText: 'امروز',
+                    okText: 'ادامه',
+                    cancelText: 'برگشت',
+                    todayTip: '{0} (جای خالی)',
+                    minText: 'این تاریخ پیش از نخستین تاریخ است',
+                    maxText: 'این تاریخ پس از آخرین تاریخ است',
+                    disabledDaysText: 'غیرفعال',
+                    disabledDatesText: 'غیرفعال',
+                    nextText: 'ماه پسین (مهار+چپ)',
+                    prevText: 'ماه پیشین (مهار+راست)',
+                    monthYearText: 'ماه را انتخاب کنید (جابجایی سال با مهار+بالا/پایین)',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateField: {
+                    format: 'B/Q/R',
+                    altFormats: 'B/Q/R|B/q/r|b/q/r|b/Q/R|q/r|Q/R|Q/r|q/R|r|R|B-Q-R|B-q-r|R.Q.B|r.q.B|r e B',
+                    minText: 'باید تاریخ‌های پس از {0} را برگزینید',
+                    maxText: 'باید تاریخ‌های پیش از {0} را برگزینید',
+                    invalidText: '{0} تاریخ درستی نیست، باید در قالب «سال/ماه/روز» باشد',
+                    disabledDaysText: 'غیرفعال',
+                    disabledDatesText: 'غیرفعال',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateRangePicker: {
+                    rightToLeft: true,
+                    thisMonthText: 'این ماه',
+                    lastMonthText: 'ماه پیش',
+                    thisSeasonText: 'این فصل',
+                    thisYearText: 'امسال'
+                },
+                DateTimePicker: {
+                    hourText: 'ساعت',
+                    minuteText: 'دقیقه',
+                    nowText: 'اکنون',
+                    okText: 'ادامه'
+                },
+                DateTimeField: {
+                    minText: 'باید زمان‌های پس از {0} را برگزینید',
+                    maxText: 'باید زمان‌های پیش از {0} را برگزینید',
+                    invalidText: '{0} زمان درستی نیست، باید در قالب «سال/ماه/روز ساعت:دقیقه» باشد',
+                    disabledDaysText: 'غیرفعال',
+                    disabledDatesText: 'غیرفعال',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateFilter: {
+                    beforeText: 'پیش از',
+                    afterText: 'پس از',
+                    onText: 'در',
+                    thisMonthText: 'این ماه',
+                    lastMonthText: 'ماه پیش',
+                    thisSeasonText: 'این فصل',
+                    thisYearText: 'امسال',
+                    fiscalYearToDateText: 'از آغاز سال مالی'
+                },
+                SlotPicker: {
+                    dayText: 'روز',
+                    monthText: 'ماه',
+                    yearText: 'سال'
+                },
+                MonthField: {
+                    okText: 'ادامه',
+                    cancelText: 'برگشت',
+                    minText: 'باید ماه‌های پس از {0} را برگزینید',
+                    maxText: 'باید ماه‌های پیش از {0} را برگزینید',
+                    invalidText: '{0} ماه درستی نیست، باید در قالب «ماه سال» یا «سال/ماه» باشد',
+                    rightToLeft: true
+                },
+                YearField: {
+                    okText: 'ادامه',
+                    cancelText: 'برگشت',
+                    minText: 'باید سال‌های پس از {0} را برگزینید',
+                    maxText: 'باید سال‌های پیش از {0} را برگزینید',
+                    invalidText: '{0} سال درستی نیست',
+                    rightToLeft: true
+                },
+                Holidays: {
+                    'Nowruz': 'نوروز',
+                    'Islamic Republic Day': 'روز جمهوری اسلامی',
+                    'Nature Day': 'روز طبیعت',
+                    'Death of Imam Khomeini': 'رحلت امام خمینی',
+                    'Uprising of 15 Khordad': 'قیام ۱۵ خرداد',
+                    'Revolution Day': 'پیروزی انقلاب اسلامی',
+                    'Oil Nationalization Day': 'ملی شدن صنعت نفت'
+                }
+            },
+
+            'en': {
+                date: {
+                    jalaliMonthNames: ['Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Amordad', 'Shahrivar', 'Mehr',
+                        'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand'],
+                    jalaliShortMonthNames: ['Far', 'Ord', 'Kho', 'Tir', 'Amo', 'Sha', 'Meh', 'Aba', 'Aza', 'Dey', 'Bah',
+                        'Esf'],
+                    jalaliMonthAliases: {Mordad: 4},
+                    jalaliDayNames: ['Yekshanbeh', 'Doshanbeh', 'Seshanbeh', 'Chaharshanbeh', 'Panjshanbeh', 'Jomeh',
+                        'Shanbeh'],
+                    jalaliSeasonNames: ['Bahar', 'Tabestan', 'Paeez', 'Zemestan'],
+                    hijriMonthNames: ['Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Awwal',
+                        'Jumada al-Thani', 'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'],
+                    jalaliStartDay: 6,
+                    jalaliDigits: 'latin',
+                    jalaliRelativeTexts: {
+                        today: 'today',
+                        yesterday: 'yesterday',
+                        tomorrow: 'tomorrow',
+                        lastWeek: 'last week',
+                        nextWeek: 'next week',
+                        lastMonth: 'last month',
+                        nextMonth: 'next month',
+                        lastYear: 'last year',
+                        nextYear: 'next year',
+                        days: '{0} days',
+                        weeks: '{0} weeks',
+                        months: '{0} months',
+                        years: '{0} years',
+                        past: '{0} ago',
+                        future: 'in {0}'
+                    }
+                },
+                DatePicker: {
+                    dayNames: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+                    longDayFormat: 'r e B',
+                    monthYearFormat: 'e B',
+                    format: 'B/Q/R',
+                    startDay: 6,
+                    rightToLeft: false
+                },
+                DateField: {
+                    format: 'B/Q/R',
+                    altFormats: 'B/Q/R|B/q/r|b/q/r|b/Q/R|q/r|Q/R|Q/r|q/R|r|R|B-Q-R|B-q-r|R.Q.B|r.q.B|r e B',
+                    invalidText: '{0} is not a valid date - it must be in the format year/month/day',
+                    startDay: 6,
+                    rightToLeft: false
+                },
+                SlotPicker: {
+                    dayText: 'Day',
+                    monthText: 'Month',
+                    yearText: 'Year'
+                },
+                Holidays: {}
+            },
+
+            'fa_AF': {
+                date: {
+                    jalaliMonthNames: ['حمل', 'ثور', 'جوزا', 'سرطان', 'اسد', 'سنبله', 'میزان', 'عقرب', 'قوس', 'جدی',
+                        'دلو', 'حوت'],
+                    jalaliShortMonthNames: ['حمل', 'ثور', 'جوزا', 'سرطان', 'اسد', 'سنبله', 'میزان', 'عقرب', 'قوس',
+                        'جدی', 'دلو', 'حوت'],
+                    jalaliMonthAliases: {
+                        Hamal: 0,
+                        Sawr: 1,
+                        Jawza: 2,
+                        Saratan: 3,
+                        Asad: 4,
+                        Sonbola: 5,
+                        Mizan: 6,
+                        Aqrab: 7,
+                        Qaws: 8,
+                        Jadi: 9,
+                        Dalw: 10,
+                        Hut: 11
+                    },
+                    jalaliDayNames: ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه'],
+                    jalaliSeasonNames: ['بهار', 'تابستان', 'خزان', 'زمستان'],
+                    jalaliStartDay: 6,
+                    jalaliDigits: 'persian',
+                    jalaliRelativeTexts: {
+                        today: 'امروز',
+                        yesterday: 'دیروز',
+                        tomorrow: 'فردا',
+                        lastWeek: 'هفتهٔ گذشته',
+                        nextWeek: 'هفتهٔ آینده',
+                        lastMonth: 'ماه گذشته',
+                        nextMonth: 'ماه آینده',
+                        lastYear: 'سال گذشته',
+                        nextYear: 'سال آینده',
+                        days: '{0} روز',
+                        weeks: '{0} هفته',
+                        months: '{0} ماه',
+                        years: '{0} سال',
+                        past: '{0} پیش',
+                        future: '{0} بعد'
+                    }
+                },
+                DatePicker: {
+                    dayNames: ['یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه', 'شنبه'],
+                    longDayFormat: 'r e B',
+                    monthYearFormat: 'e B',
+                    format: 'B/Q/R',
+                    todayText: 'امروز',
+                    okText: 'تأیید',
+                    cancelText: 'لغو',
+                    todayTip: '{0} (فاصله)',
+                    minText: 'این تاریخ پیش از کمترین تاریخ است',
+                    maxText: 'این تاریخ پس از بیشترین تاریخ است',
+                    disabledDaysText: 'غیرفعال',
+                    disabledDatesText: 'غیرفعال',
+                    nextText: 'ماه بعدی (کنترل+چپ)',
+                    prevText: 'ماه قبلی (کنترل+راست)',
+                    monthYearText: 'ماه را انتخاب کنید (تغییر سال با کنترل+بالا/پایین)',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateField: {
+                    format: 'B/Q/R',
+                    altFormats: 'B/Q/R|B/q/r|b/q/r|b/Q/R|q/r|Q/R|Q/r|q/R|r|R|B-Q-R|B-q-r|R.Q.B|r.q.B|r e B',
+                    minText: 'تاریخ باید پس از {0} باشد',
+                    maxText: 'تاریخ باید پیش از {0} باشد',
+                    invalidText: '{0} تاریخ درست نیست، باید به شکل «سال/ماه/روز» باشد',
+                    disabledDaysText: 'غیرفعال',
+                    disabledDatesText: 'غیرفعال',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                SlotPicker: {
+                    dayText: 'روز',
+                    monthText: 'ماه',
+                    yearText: 'سال'
+                },
+                Holidays: {
+                    'Nowruz': 'نوروز'
+                }
+            },
+
+            'ckb': {
+                date: {
+                    jalaliMonthNames: ['خاکەلێوە', 'گوڵان', 'جۆزەردان', 'پووشپەڕ', 'گەلاوێژ', 'خەرمانان', 'ڕەزبەر',
+                        'گەڵاڕێزان', 'سەرماوەز', 'بەفرانبار', 'ڕێبەندان', 'ڕەشەمێ'],
+                    jalaliShortMonthNames: ['خاکە', 'گوڵا', 'جۆزە', 'پووش', 'گەلا', 'خەرم', 'ڕەزب', 'گەڵا', 'سەرم',
+                        'بەفر', 'ڕێبە', 'ڕەشە'],
+                    jalaliMonthAliases: {},
+                    jalaliDayNames: ['یەکشەممە', 'دووشەممە', 'سێشەممە', 'چوارشەممە', 'پێنجشەممە', 'هەینی', 'شەممە'],
+                    jalaliSeasonNames: ['بەهار', 'هاوین', 'پایز', 'زستان'],
+                    jalaliStartDay: 6,
+                    jalaliDigits: 'arabic',
+                    jalaliRelativeTexts: {
+                        today: 'ئەمڕۆ',
+                        yesterday: 'دوێنێ',
+                        tomorrow: 'سبەینێ',
+                        lastWeek: 'هەفتەی ڕابردوو',
+                        nextWeek: 'هەفتەی داهاتوو',
+                        lastMonth: 'مانگی ڕابردوو',
+                        nextMonth: 'مانگی داهاتوو',
+                        lastYear: 'ساڵی ڕابردوو',
+                        nextYear: 'ساڵی داهاتوو',
+                        days: '{0} ڕۆژ',
+                        weeks: '{0} هەفتە',
+                        months: '{0} مانگ',
+                        years: '{0} ساڵ',
+                        past: '{0} لەمەوبەر',
+                        future: 'دوای {0}'
+                    }
+                },
+                DatePicker: {
+                    dayNames: ['یەکشەممە', 'دووشەممە', 'سێشەممە', 'چوارشەممە', 'پێنجشەممە', 'هەینی', 'شەممە'],
+                    longDayFormat: 'r e B',
+                    monthYearFormat: 'e B',
+                    format: 'B/Q/R',
+                    todayText: 'ئەمڕۆ',
+                    okText: 'باشە',
+                    cancelText: 'پاشگەزبوونەوە',
+                    todayTip: '{0} (بۆشایی)',
+                    minText: 'ئەم بەروارە پێش کەمترین بەروارە',
+                    maxText: 'ئەم بەروارە دوای زۆرترین بەروارە',
+                    disabledDaysText: 'ناچالاک',
+                    disabledDatesText: 'ناچالاک',
+                    nextText: 'مانگی داهاتوو (Ctrl+چەپ)',
+                    prevText: 'مانگی پێشوو (Ctrl+ڕاست)',
+                    monthYearText: 'مانگێک هەڵبژێرە (گۆڕینی ساڵ بە Ctrl+سەرەوە/خوارەوە)',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateField: {
+                    format: 'B/Q/R',
+                    altFormats: 'B/Q/R|B/q/r|b/q/r|b/Q/R|q/r|Q/R|Q/r|q/R|r|R|B-Q-R|B-q-r|R.Q.B|r.q.B|r e B',
+                    minText: 'بەروار دەبێت دوای {0} بێت',
+                    maxText: 'بەروار دەبێت پێش {0} بێت',
+                    invalidText: '{0} بەروارێکی دروست نییە، دەبێت بە شێوەی «ساڵ/مانگ/ڕۆژ» بێت',
+                    disabledDaysText: 'ناچالاک',
+                    disabledDatesText: 'ناچالاک',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                SlotPicker: {
+                    dayText: 'ڕۆژ',
+                    monthText: 'مانگ',
+                    yearText: 'ساڵ'
+                },
+                Holidays: {
+                    'Nowruz': 'نەورۆز'
+                }
+            },
+
+            'ps': {
+                date: {
+                    jalaliMonthNames: ['وری', 'غویی', 'غبرگولی', 'چنګاښ', 'زمری', 'وږی', 'تله', 'لړم', 'لیندۍ',
+                        'مرغومی', 'سلواغه', 'کب'],
+                    jalaliShortMonthNames: ['وری', 'غویی', 'غبرگولی', 'چنګاښ', 'زمری', 'وږی', 'تله', 'لړم', 'لیندۍ',
+                        'مرغومی', 'سلواغه', 'کب'],
+                    jalaliMonthAliases: {},
+                    jalaliDayNames: ['اتوار', 'ګل', 'نهه', 'شورو', 'زیارت', 'جمعه', 'خالي'],
+                    jalaliSeasonNames: ['پسرلی', 'اوړی', 'منی', 'ژمی'],
+                    jalaliStartDay: 6,
+                    jalaliDigits: 'persian',
+                    jalaliRelativeTexts: {
+                        today: 'نن',
+                        yesterday: 'پرون',
+                        tomorrow: 'سبا',
+                        lastWeek: 'تېره اونۍ',
+                        nextWeek: 'راتلونکې اونۍ',
+                        lastMonth: 'تېره میاشت',
+                        nextMonth: 'راتلونکې میاشت',
+                        lastYear: 'تېر کال',
+                        nextYear: 'راتلونکی کال',
+                        days: '{0} ورځې',
+                        weeks: '{0} اونۍ',
+                        months: '{0} میاشتې',
+                        years: '{0} کاله',
+                        past: '{0} مخکې',
+                        future: '{0} وروسته'
+                    }
+                },
+                DatePicker: {
+                    dayNames: ['اتوار', 'ګل', 'نهه', 'شورو', 'زیارت', 'جمعه', 'خالي'],
+                    longDayFormat: 'r e B',
+                    monthYearFormat: 'e B',
+                    format: 'B/Q/R',
+                    todayText: 'نن',
+                    okText: 'سمه ده',
+                    cancelText: 'لغوه',
+                    todayTip: '{0} (تشه)',
+                    minText: 'دا نېټه له لومړۍ نېټې مخکې ده',
+                    maxText: 'دا نېټه له وروستۍ نېټې وروسته ده',
+                    disabledDaysText: 'ناچارن',
+                    disabledDatesText: 'ناچارن',
+                    nextText: 'بله میاشت (Ctrl+کیڼ)',
+                    prevText: 'تېره میاشت (Ctrl+ښی)',
+                    monthYearText: 'میاشت وټاکئ (کال د Ctrl+پورته/ښکته سره بدل کړئ)',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                DateField: {
+                    format: 'B/Q/R',
+                    altFormats: 'B/Q/R|B/q/r|b/q/r|b/Q/R|q/r|Q/R|Q/r|q/R|r|R|B-Q-R|B-q-r|R.Q.B|r.q.B|r e B',
+                    minText: 'نېټه باید له {0} وروسته وي',
+                    maxText: 'نېټه باید له {0} مخکې وي',
+                    invalidText: '{0} سمه نېټه نه ده، باید د «کال/میاشت/ورځ» په بڼه وي',
+                    disabledDaysText: 'ناچارن',
+                    disabledDatesText: 'ناچارن',
+                    startDay: 6,
+                    rightToLeft: true
+                },
+                SlotPicker: {
+                    dayText: 'ورځ',
+                    monthText: 'میاشت',
+                    yearText: 'کال'
+                },
+                Holidays: {
+                    'Nowruz': 'نوروز'
+                }
+            }
+        },
+
+        /**
+         * Registers a locale, or changes a registered one. Properties of the locale are merged into the registered
+         * locale of the same name.
+         * @param {String} name Name of the locale, like 'fa_IR'.
+         * @param {Object} locale The locale, with date, DatePicker, DateField, SlotPicker and Holidays properties.
+         * @return {Ext.ux.JalaliDateLocales} this
+         */
+        add: function (name, locale) {
+            this.locales[name] = Ext.merge(this.locales[name] || {}, locale);
+            return this;
+        },
+
+        /**
+         * Returns a registered locale.
+         * @param {String} name Name of the locale.
+         * @return {Object} The locale.
+         */
+        get: function (name) {
+            var locale = this.locales[name];
+            if (!locale) {
+                Ext.Error.raise('Unknown locale: ' + name);
+            }
+            return locale;
+        },
+
+        /**
+         * Calls a function in a locale. Properties of Ext.Date in the date object of the locale are replaced during
+         * the call, so dates are formatted and parsed with its names and digits. Calls may be nested.
+         * @param {String} name Name of the locale.
+         * @param {Function} fn The function.
+         * @param {Object} scope (optional) Scope of the function.
+         * @param {Array} args (optional) Arguments of the function.
+         * @return {Object} The result of the function.
+         */
+        run: function (name, fn, scope, args) {
+            var eDate = Ext.Date,
+                values = this.get(name).date || {},
+                saved = {},
+                key;
+
+            for (key in values) {
+                if (values.hasOwnProperty(key)) {
+                    saved[key] = eDate[key];
+                    eDate[key] = values[key];
+                }
+            }
+            try {
+                return fn.apply(scope, args || []);
+            } finally {
+                Ext.apply(eDate, saved);
+            }
+        },
+
+        /**
+         * Returns a function that calls a function in a locale, with {@link #run}.
+         * @param {String} name Name of the locale.
+         * @param {Function} fn The function.
+         * @return {Function} The new function, called with the same scope and arguments.
+         */
+        wrap: function (name, fn) {
+            var me = this;
+            return function () {
+                return me.run(name, fn, this, arguments);
+            };
+        }
+    });
+}());
@@ -2,11 +2,49 @@
  * @class Ext.ux.JalaliDatePlugin
  *
  * <p>A plugin for Ext date components. Just add this object as a plugin to date components
- * (e.g. Ext.DatePicker, Ext.menu.DateMenu or Ext.form.DateField) and it will be converted to Jalali.
+ * (e.g. Ext.DatePicker, Ext.menu.DateMenu or Ext.form.DateField) and it will be converted to Jalali. In the modern
+ * toolkit of Ext 6, it converts Ext.field.DatePicker and the slots of Ext.picker.Date.
+ *
+ * <p>Set secondaryCalendar of the component to 'gregorian' or 'hijri' to show the day of that calendar in small type
+ * in each cell, its full date in cell titles and its months next to the Jalali month. Hijri needs HijriDate.js.
+ *
+ * <p>Set rightToLeft of the component to true (the fa_IR localization does) to lay it out right-to-left. Day
+ * columns start from the right, next and previous buttons and the month picker are mirrored, and Left and Right keys
+ * move to the next and previous day (with Ctrl, month). Date fields show their trigger and error icon on the left.
+ *
+ * <p>Keyboard navigation of pickers moves in Jalali months: Left and Right by a day (with Ctrl, a month), Up and Down
+ * by a week (with Ctrl, a year), PageUp and PageDown by a month (with Shift, a season, with Ctrl, a year), and Home
+ * and End to the first and last day of the month. It stays within minDate and maxDate.
+ *
+ * <p>In Jalali calendar, disabledDates and enabledDates of pickers and date fields take Jalali dates, ranges and
+ * recurring rules, with their own tooltips (see {@link #parseDateRules}). Date fields validate values by them too.
+ *
+ * <p>Date fields accept shorthand too: "+3" or "-2w" for days or weeks from today, the words of today, yesterday and
+ * tomorrow (like "امروز", "دیروز" and "فردا" with the fa_IR localization), and dates without separators like
+ * "14020503". While a typed value is not committed, its Jalali date is previewed under the field, formatted with
+ * previewFormat of the field. Set showPreview of the field to false to hide it.
+ *
+ * <p>Set locale of the component to a locale of {@link Ext.ux.JalaliDateLocales}, like 'fa_AF', to show it with the
+ * names, digits, formats and texts of that locale, instead of {@link #localization}.
+ *
+ * <p>A component with this plugin can be switched between Jalali and Gregorian calendars at any time:
+ * <pre><code>
+ datePicker.setCalendar('gregorian');
+ datePicker.setCalendar('jalali');
+ * </code></pre>
+ *
+ * @event calendarchange
+ * Fires on the component when its calendar is switched.
+ * @param {Ext.Component} component The component
+ * @param {String} calendar 'jalali' or 'gregorian'
  */
 (function () {
-    var safeParse, createPicker, afterCreateMonthPicker, afterShowMonthPicker,
-        onOkClick, showPrevMonth, showNextMonth, showPrevYear, showNextYear, update, fullUpdate;
+    var legacy = Ext.getVersion('core').isLessThan('5'),
+        getKind, getLocalization, localize, saveProperties, restoreProperties, parseDateRule, parseDay, findMonth,
+        updateDateRules, setDisabledDates, getErrors, updateDayNames, moveDate, moveTo, navigationKeys, safeParse,
+        parseDate, onChange, updatePreview, createPicker, addPickerPlugin, slotsToDate, updateDaySlot, createSlots,
+        setSlotValue, getSlotValue, getSlotDaysInMonth, onSlotPick, afterCreateMonthPicker, afterShowMonthPicker,
+        onOkClick, showPrevMonth, showNextMonth, showPrevYear, showNextYear, update, fullUpdate, secondaryMonths;
 
     Ext.define('Ext.ux.JalaliDatePlugin', {
         extend: 'Ext.AbstractPlugin',
@@ -16,7 +54,173 @@
             enabled: true,
             localization: {
                 DatePicker: {},
-                DateField: {}
+                DateField: {},
+                DateRangePicker: {},
+                DateTimePicker: {},
+                DateTimeField: {},
+                DateFilter: {},
+                SlotPicker: {},
+                MonthField: {},
+                YearField: {},
+                Holidays: {}
+            },
+
+            /**
+             * CSS class of right-to-left components.
+             */
+            rtlCls: Ext.baseCSSPrefix + 'jalali-rtl',
+
+            /**
+             * Formats of secondary calendars, by name: day for the cells, date for the titles, and month and year
+             * for the month button.
+             */
+            secondaryCalendars: {
+                gregorian: {day: 'j', date: 'j F Y', month: 'M', year: 'Y'},
+                hijri: {day: 'x', date: 'x X I', month: 'X', year: 'I'}
+            },
+
+            /**
+             * Applies localized texts and formats to a component, in its initComponent. Properties given in the
+             * config of the component are kept, so they win over the localization.
+             * @param {Ext.Component} component The component.
+             * @param {Object} values The localization, like {@link #localization}.DateRangePicker.
+             * @return {Ext.Component} The component.
+             */
+            applyLocalization: function (component, values) {
+                var config = component.initialConfig || {};
+                Ext.Object.each(values, function (key, value) {
+                    if (!config.hasOwnProperty(key)) {
+                        component[key] = value;
+                    }
+                });
+                return component;
+            },
+
+            /**
+             * Returns the first and last dates of a preset range, at midnight.
+             * @param {String} preset One of 'thisMonth', 'lastMonth', 'thisSeason', 'thisYear' and
+             * 'fiscalYearToDate'.
+             * @param {Number} fiscalYearStartMonth (optional) Jalali month (0-based) of the first day of fiscal years.
+             * Defaults to 0.
+             * @return {Date[]} The first and last dates, or null if the preset is unknown.
+             */
+            getPresetRange: function (preset, fiscalYearStartMonth) {
+                var eDate = Ext.Date,
+                    today = eDate.clearTime(new Date()),
+                    jd,
+                    start,
+                    end;
+
+                switch (preset) {
+                case 'thisMonth':
+                    start = eDate.getJalaliFirstDateOfMonth(today);
+                    end = eDate.getJalaliLastDateOfMonth(today);
+                    break;
+                case 'lastMonth':
+                    end = eDate.add(eDate.getJalaliFirstDateOfMonth(today), eDate.DAY, -1);
+                    start = eDate.getJalaliFirstDateOfMonth(end);
+                    break;
+                case 'thisSeason':
+                    start = eDate.getJalaliFirstDateOfSeason(today);
+                    end = eDate.getJalaliLastDateOfSeason(today);
+                    break;
+                case 'thisYear':
+                    start = eDate.getJalaliFirstDateOfYear(today);
+                    end = eDate.getJalaliLastDateOfYear(today);
+                    break;
+                case 'fiscalYearToDate':
+                    fiscalYearStartMonth = fiscalYearStartMonth || 0;
+                    jd = eDate.convertToJalali(today);
+                    start = eDate.createJalali(
+                            jd.jalaliMonth < fiscalYearStartMonth ? jd.jalaliYear - 1 : jd.jalaliYear,
+                            fiscalYearStartMonth, 1);
+                    end = today;
+                    break;
+                default:
+                    return null;
+                }
+                return [eDate.clearTime(start), eDate.clearTime(end)];
+            },
+
+            /**
+             * Parses entries of disabledDates or enabledDates to date rules. Entries may be:
+             * <ul>
+             * <li>Dates, like new Date(2023, 2, 21).</li>
+             * <li>Jalali dates, like '1402/01/01', in any digit set.</li>
+             * <li>Jalali ranges, like '1402/01/01..1402/01/13'. Either end may be left out, like '1402/12/20..'.</li>
+             * <li>Recurring rules: 'every 1 Farvardin' (each year), 'every 15' (each Jalali month), and 'last day of
+             * each Jalali month', 'last day of each Jalali season' or 'last day of each Jalali year'. Month names are
+             * those of Ext.Date or the English ones.</li>
+             * <li>Objects with a date property holding one of the above, or with from and to properties for a range,
+             * and a text property for the tooltip of their dates, like
+             * {date: '1403/01/01..1403/01/04', text: 'Closed'}.</li>
+             * </ul>
+             * Other strings are regular expressions matched against dates formatted with the format, like in Ext.
+             * @param {Array} entries The entries, or null.
+             * @param {String} format Format of the dates matched by regular expressions.
+             * @return {Object[]} The rules. Each one has a test function, taking a date at midnight and its Jalali
+             * date (see {@link Ext.Date#convertToJalali}), and the text of its entry.
+             */
+            parseDateRules: function (entries, format) {
+                return Ext.Array.map(entries ? Ext.Array.from(entries) : [], function (entry) {
+                    return parseDateRule(entry, format);
+                });
+            },
+
+            /**
+             * Returns the first date rule matching a date.
+             * @param {Object[]} rules The rules returned by {@link #parseDateRules}.
+             * @param {Date} date The date. Its time is ignored.
+             * @return {Object} The rule, or null if no rule matches the date.
+             */
+            findDateRule: function (rules, date) {
+                var day, jd, i;
+
+                if (!rules || !rules.length || !date) {
+                    return null;
+                }
+                day = Ext.Date.clearTime(date, true);
+                jd = Ext.Date.convertToJalali(day);
+                for (i = 0; i < rules.length; i += 1) {
+                    if (rules[i].test(day, jd)) {
+                        return rules[i];
+                    }
+                }
+                return null;
+            },
+
+            /**
+             * Returns the date rules of a picker or field, from its disabledDates and enabledDates. A disabledDatesRE
+             * of the component is kept only when it has no disabledDates.
+             * @param {Ext.Component} component The component.
+             * @param {String} format Format of the dates matched by regular expressions.
+             * @return {Object} The disabledDatesRE, disabledDateRules and enabledDateRules properties of the component.
+             */
+            getDateRules: function (component, format) {
+                var me = Ext.ux.JalaliDatePlugin;
+                return {
+                    disabledDatesRE: component.disabledDates ? null : component.disabledDatesRE,
+                    disabledDateRules: me.parseDateRules(component.disabledDates, format),
+                    enabledDateRules: me.parseDateRules(component.enabledDates, format)
+                };
+            },
+
+            /**
+             * Checks a date against the date rules of a picker or field (see {@link #getDateRules}).
+             * @param {Ext.Component} component The component.
+             * @param {Date} date The date.
+             * @return {Object} The disabled date rule matching the date, an empty object if there are enabled date
+             * rules and none of them matches the date, or null if the date is not disabled.
+             */
+            checkDateRules: function (component, date) {
+                var me = Ext.ux.JalaliDatePlugin,
+                    rule = me.findDateRule(component.disabledDateRules, date);
+
+                if (!rule && component.enabledDateRules && component.enabledDateRules.length &&
+                        !me.findDateRule(component.enabledDateRules, date)) {
+                    rule = {};
+                }
+                return rule;
             }
         },
 
@@ -27,40 +231,626 @@
         },
 
         /**
-         * Initializes this plugin. Some methods in the main class are instrumented, others are replaced.
+         * Initializes this plugin. The component gets setCalendar and getCalendar methods, and it is converted to
+         * Jalali if the plugin is enabled.
          * @param {Ext.Component} component Component that should be instrumented.
          */
         init: function (component) {
-            if (!this.enabled) {
+            var me = this;
+
+            me.cmp = component;
+            me.kind = getKind(component);
+            me.calendar = 'gregorian';
+            if (component.locale) {
+                me.applyCalendar = Ext.ux.JalaliDateLocales.wrap(component.locale, me.applyCalendar);
+            }
+            component.setCalendar = Ext.Function.bind(me.setCalendar, me);
+            component.getCalendar = Ext.Function.bind(me.getCalendar, me);
+            if (me.kind === 'picker' || me.kind === 'field') {
+                component.setEnabledDates = Ext.Function.bind(me.setEnabledDates, me);
+            }
+            if (me.kind === 'picker') {
+                component.keyNavConfig = Ext.applyIf(Ext.apply({}, component.keyNavConfig), navigationKeys);
+            }
+            if (!me.enabled) {
                 return;
             }
-            if (component instanceof Ext.DatePicker) { // for both Ext.DatePicker & Ext.menu.DateMenu
-                component.monthNames = Ext.Date.jalaliMonthNames;
-                component.createMonthPicker = Ext.Function.createSequence(component.createMonthPicker, afterCreateMonthPicker);
-                component.showMonthPicker = Ext.Function.createSequence(component.showMonthPicker, afterShowMonthPicker);
-                component.onOkClick = onOkClick;
-                component.showPrevMonth = showPrevMonth;
-                component.showNextMonth = showNextMonth;
-                component.showPrevYear = showPrevYear;
-                component.showNextYear = showNextYear;
-                component.update = update;
-                component.fullUpdate = fullUpdate;
-                Ext.apply(component, this.statics().localization.DatePicker);
-                component.dayNames = component.dayNames.slice(component.startDay).concat(component.dayNames.slice(0, component.startDay));
-                component.setValue(component.value);
-            } else if (component instanceof Ext.form.field.Date) { // for Ext.form.field.Date
-                component.createPicker = createPicker;
-                component.safeParse = safeParse;
-                Ext.apply(component, this.statics().localization.DateField);
-                component.setValue(component.value);
+            if ((me.kind === 'slotpicker' || me.kind === 'pickerfield') && !component.initialized) {
+                // modern components initialize their configs after plugins, and that would remove replaced getters
+                component.on('initialize', Ext.Function.bind(me.applyCalendar, me, ['jalali']), me, {single: true});
+            } else {
+                me.applyCalendar('jalali');
+            }
+        },
+
+        /**
+         * Returns the current calendar of the component.
+         * @return {String} 'jalali' or 'gregorian'.
+         */
+        getCalendar: function () {
+            return this.calendar;
+        },
+
+        /**
+         * Switches the component between Jalali and Gregorian calendars, keeping its value. This method is added to
+         * the component too, so a rendered picker or field can be switched with component.setCalendar('gregorian').
+         * @param {String} calendar 'jalali' or 'gregorian'.
+         * @return {Ext.Component} The component.
+         */
+        setCalendar: function (calendar) {
+            var me = this;
+            if (calendar !== 'jalali' && calendar !== 'gregorian') {
+                Ext.Error.raise('Unknown calendar: ' + calendar);
+            }
+            if (calendar !== me.calendar) {
+                me.applyCalendar(calendar);
+                me.cmp.fireEvent('calendarchange', me.cmp, calendar);
             }
+            return me.cmp;
+        },
+
+        /**
+         * Replaces the enabled dates of a picker or field. When there are enabled dates, other dates are disabled in
+         * Jalali calendar. Entries are like those of disabledDates, see {@link #parseDateRules}. This method is added
+         * to date pickers and fields too.
+         * @param {Array} enabledDates The enabled dates, or null to enable all dates.
+         * @return {Ext.Component} The component.
+         */
+        setEnabledDates: function (enabledDates) {
+            var me = this;
+            me.cmp.enabledDates = enabledDates;
+            if (me.calendar === 'jalali') {
+                updateDateRules(me.cmp);
+            }
+            return me.cmp;
+        },
+
+        /**
+         * Instruments the component for Jalali calendar, or restores its original methods and properties for
+         * Gregorian calendar. Some methods in the main class are instrumented, others are replaced.
+         * @param {String} calendar 'jalali' or 'gregorian'.
+         * @private
+         */
+        applyCalendar: function (calendar) {
+            var me = this,
+                component = me.cmp,
+                localization = getLocalization(component.locale),
+                values,
+                value;
+
+            if (me.kind === 'picker') { // for both Ext.DatePicker & Ext.menu.DateMenu
+                if (calendar === 'jalali') {
+                    values = Ext.apply({
+                        monthNames: Ext.Date.jalaliMonthNames,
+                        createMonthPicker: Ext.Function.createSequence(component.createMonthPicker,
+                                afterCreateMonthPicker),
+                        showMonthPicker: Ext.Function.createSequence(component.showMonthPicker, afterShowMonthPicker),
+                        onOkClick: onOkClick,
+                        showPrevMonth: showPrevMonth,
+                        showNextMonth: showNextMonth,
+                        showPrevYear: showPrevYear,
+                        showNextYear: showNextYear,
+                        update: update,
+                        fullUpdate: fullUpdate,
+                        setDisabledDates: setDisabledDates
+                    }, localization.DatePicker);
+                    localize(component, values, ['createMonthPicker', 'showMonthPicker', 'update', 'fullUpdate']);
+                    Ext.apply(values, me.statics().getDateRules(component, values.format || component.format));
+                    values.dayNames = values.dayNames || component.dayNames;
+                    values.startDay = values.startDay === undefined ? component.startDay : values.startDay;
+                    values.dayNames = values.dayNames.slice(values.startDay)
+                            .concat(values.dayNames.slice(0, values.startDay));
+                    me.saved = saveProperties(component, values);
+                    Ext.apply(component, values);
+                } else {
+                    restoreProperties(component, me.saved);
+                }
+                component[component.rightToLeft ? 'addCls' : 'removeCls'](me.statics().rtlCls);
+                if (component.monthPicker) {
+                    component.monthPicker.destroy();
+                    component.monthPicker = null;
+                    component.mpMonthsInstrumented = false;
+                }
+                if (component.rendered) {
+                    updateDayNames(component);
+                    component.update(component.value, true);
+                } else {
+                    component.setValue(component.value);
+                }
+            } else if (me.kind === 'field') { // for Ext.form.field.Date
+                value = component.getValue();
+                if (component.picker) {
+                    component.collapse();
+                    component.picker.destroy();
+                    component.picker = null;
+                }
+                if (calendar === 'jalali') {
+                    values = Ext.apply({
+                        createPicker: createPicker,
+                        safeParse: safeParse,
+                        parseDate: Ext.Function.pass(parseDate, [component.parseDate]),
+                        onChange: Ext.Function.createSequence(component.onChange, onChange),
+                        getErrors: Ext.Function.pass(getErrors, [component.getErrors]),
+                        setDisabledDates: setDisabledDates
+                    }, localization.DateField);
+                    localize(component, values, ['createPicker', 'formatDate', 'parseDate', 'onChange']);
+                    Ext.apply(values, me.statics().getDateRules(component, values.format || component.format));
+                    if (values.rightToLeft === undefined ? component.rightToLeft : values.rightToLeft) {
+                        values.pickerAlign = 'tr-br?';
+                    }
+                    me.saved = saveProperties(component, values);
+                    Ext.apply(component, values);
+                } else {
+                    restoreProperties(component, me.saved);
+                }
+                if (component.previewTip) {
+                    component.previewTip.hide();
+                }
+                component[component.rightToLeft ? 'addCls' : 'removeCls'](me.statics().rtlCls);
+                delete component.altFormatsArray;
+                component.setValue(value);
+            } else if (me.kind === 'slotpicker') { // for Ext.picker.Date of modern toolkit
+                value = component.getInnerItems().length ? component.getValue(true) :
+                        slotsToDate(component._value, me.calendar);
+                if (calendar === 'jalali') {
+                    values = {
+                        createSlots: createSlots,
+                        setValue: setSlotValue,
+                        getValue: getSlotValue,
+                        getDaysInMonth: getSlotDaysInMonth,
+                        onSlotPick: onSlotPick
+                    };
+                    localize(component, values, ['createSlots', 'setValue', 'onSlotPick']);
+                    me.saved = saveProperties(component, values);
+                    Ext.apply(component, values);
+                    me.savedConfig = {
+                        yearFrom: component.getYearFrom(),
+                        yearTo: component.getYearTo(),
+                        monthText: component.getMonthText(),
+                        dayText: component.getDayText(),
+                        yearText: component.getYearText()
+                    };
+                    // Gregorian years are converted, later years are taken as Jalali
+                    component.setConfig(Ext.apply({
+                        yearFrom: me.savedConfig.yearFrom > 1700 ? me.savedConfig.yearFrom - 621 :
+                                me.savedConfig.yearFrom,
+                        yearTo: me.savedConfig.yearTo > 1700 ?
+                                Ext.Date.getJalaliFullYear(new Date(me.savedConfig.yearTo, 11, 31)) :
+                                me.savedConfig.yearTo
+                    }, localization.SlotPicker));
+                } else {
+                    restoreProperties(component, me.saved);
+                    component.setConfig(me.savedConfig);
+                }
+                if (component.getInnerItems().length) {
+                    delete component.daySlot;
+                    component.createSlots();
+                }
+                if (value) {
+                    component.setValue(value);
+                }
+            } else if (me.kind === 'pickerfield') { // for Ext.field.DatePicker of modern toolkit
+                if (component._picker && component._picker.isPicker) {
+                    component._picker.destroy();
+                    component._picker = component.getInitialConfig().picker || true;
+                }
+                if (calendar === 'jalali') {
+                    values = localize(component, {
+                        getPicker: Ext.Function.createInterceptor(component.getPicker, addPickerPlugin)
+                    }, ['applyValue', 'updateValue', 'updateDateFormat', 'getFormattedValue']);
+                    me.saved = saveProperties(component, values);
+                    Ext.apply(component, values);
+                    me.savedConfig = {dateFormat: component.getDateFormat()};
+                    component.setDateFormat(localization.DateField.format || 'B/Q/R');
+                } else {
+                    restoreProperties(component, me.saved);
+                    component.setConfig(me.savedConfig);
+                }
+            }
+            me.calendar = calendar;
         }
+    }, function () {
+        var rtl = '.' + this.rtlCls + ' ';
+
+        Ext.util.CSS.createStyleSheet(
+            '.' + Ext.baseCSSPrefix +
+                'jalali-secondary { display: block; font-size: 65%; line-height: 1; color: #888; }',
+            'ext-ux-jalali-date-plugin'
+        );
+        Ext.util.CSS.createStyleSheet(
+            rtl + '{direction:rtl}' +
+                rtl + '.' + Ext.baseCSSPrefix + 'datepicker-prev {left:auto;right:6px;transform:scaleX(-1)}' +
+                rtl + '.' + Ext.baseCSSPrefix + 'datepicker-next {right:auto;left:6px;transform:scaleX(-1)}' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-months,' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-years,' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-item,' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-yearnav-button-ct {float:right}' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-months {border-width:0 0 0 1px}' +
+                rtl + '.' + Ext.baseCSSPrefix + 'monthpicker-yearnav-button {transform:scaleX(-1)}',
+            'ext-ux-jalali-date-plugin-rtl'
+        );
     });
 
+    /**
+     * Returns the kind of a date component: 'picker' and 'field' for date pickers and fields of Ext 4 or classic
+     * toolkit, and 'slotpicker' and 'pickerfield' for those of modern toolkit.
+     * @param {Ext.Component} component The component.
+     * @return {String} The kind, or null for other components.
+     */
+    getKind = function (component) {
+        if (component.createSlots) {
+            return 'slotpicker';
+        }
+        if (component.isXType('datepickerfield')) {
+            return 'pickerfield';
+        }
+        if (component instanceof Ext.DatePicker) {
+            return 'picker';
+        }
+        if (component.isXType('datefield')) {
+            return 'field';
+        }
+        return null;
+    };
+
+    /**
+     * Returns the texts and formats of components in a locale.
+     * @param {String} locale (optional) Name of a locale of {@link Ext.ux.JalaliDateLocales}.
+     * @return {Object} The locale, or {@link Ext.ux.JalaliDatePlugin#localization} if no locale is given.
+     */
+    getLocalization = function (locale) {
+        if (!locale) {
+            return Ext.ux.JalaliDatePlugin.localization;
+        }
+        if (!Ext.ux.JalaliDateLocales) {
+            Ext.Error.raise('Locale ' + locale + ' needs Ext.ux.JalaliDateLocales');
+        }
+        return Ext.apply({
+            DatePicker: {},
+            DateField: {},
+            SlotPicker: {},
+            Holidays: {}
+        }, Ext.ux.JalaliDateLocales.get(locale));
+    };
+
+    /**
+     * Makes methods of a component run in its locale, see {@link Ext.ux.JalaliDateLocales#run}.
+     * @param {Ext.Component} component The component. Nothing is changed if it has no locale.
+     * @param {Object} values New methods of the component, by name. Methods that are not given are taken from the
+     * component.
+     * @param {String[]} names Names of the methods to change.
+     * @return {Object} The values, with changed methods.
+     */
+    localize = function (component, values, names) {
+        var i;
+        if (component.locale) {
+            for (i = 0; i < names.length; i += 1) {
+                values[names[i]] = Ext.ux.JalaliDateLocales.wrap(component.locale,
+                        values[names[i]] || component[names[i]]);
+            }
+        }
+        return values;
+    };
+
+    /**
+     * Saves the properties of a component that are going to be replaced.
+     * @param {Ext.Component} component The component.
+     * @param {Object} values The new values.
+     * @return {Object} The saved properties, with own flags and original values.
+     */
+    saveProperties = function (component, values) {
+        var saved = {},
+            key;
+        for (key in values) {
+            if (values.hasOwnProperty(key)) {
+                saved[key] = {
+                    own: component.hasOwnProperty(key),
+                    value: component[key]
+                };
+            }
+        }
+        return saved;
+    };
+
+    /**
+     * Restores the saved properties of a component. Properties that were inherited are deleted.
+     * @param {Ext.Component} component The component.
+     * @param {Object} saved The properties returned by saveProperties.
+     */
+    restoreProperties = function (component, saved) {
+        var key;
+        for (key in saved) {
+            if (saved.hasOwnProperty(key)) {
+                if (saved[key].own) {
+                    component[key] = saved[key].value;
+                } else {
+                    delete component[key];
+                }
+            }
+        }
+    };
+
+    /**
+     * Returns a date at midnight, as a number, from a date or a Jalali string.
+     * @param {Date/String} value The date, or null.
+     * @return {Number} The time of the date, or null.
+     */
+    parseDay = function (value) {
+        var date = value;
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        if (!Ext.isDate(value)) {
+            date = Ext.Date.parseJalali(value, true);
+            if (!date) {
+                Ext.Error.raise('Invalid Jalali date in date rule: ' + value);
+            }
+        }
+        return Ext.Date.clearTime(date, true).getTime();
+    };
+
+    /**
+     * Returns a Jalali month (0-based) by name, from the month names and aliases of Ext.Date or the English ones.
+     * @param {String} name The name, in any case.
+     * @return {Number} The month.
+     */
+    findMonth = function (name) {
+        var eDate = Ext.Date,
+            lists = [eDate.jalaliMonthNames, JalaliCore.defaults.monthNames],
+            aliases = [eDate.jalaliMonthAliases, JalaliCore.defaults.monthAliases],
+            lower = name.toLowerCase(),
+            i,
+            j,
+            key;
+
+        for (i = 0; i < lists.length; i += 1) {
+            for (j = 0; j < lists[i].length; j += 1) {
+                if (lists[i][j].toLowerCase() === lower) {
+                    return j;
+                }
+            }
+            for (key in aliases[i]) {
+                if (aliases[i].hasOwnProperty(key) && key.toLowerCase() === lower) {
+                    return aliases[i][key];
+                }
+            }
+        }
+        Ext.Error.raise('Unknown Jalali month in date rule: ' + name);
+    };
+
+    /**
+     * Parses an entry of disabledDates or enabledDates, see {@link Ext.ux.JalaliDatePlugin#parseDateRules}.
+     * @param {Date/String/Object} entry The entry.
+     * @param {String} format Format of the dates matched by regular expressions.
+     * @return {Object} The rule.
+     */
+    parseDateRule = function (entry, format) {
+        var eDate = Ext.Date,
+            text,
+            match,
+            from,
+            to,
+            day,
+            month,
+            regex;
+
+        if (Ext.isDate(entry)) {
+            from = parseDay(entry);
+            return {
+                test: function (date) {
+                    return date.getTime() === from;
+                }
+            };
+        }
+        if (Ext.isObject(entry)) {
+            if (entry.date !== undefined) {
+                return Ext.apply(parseDateRule(entry.date, format), {text: entry.text});
+            }
+            from = parseDay(entry.from);
+            to = parseDay(entry.to);
+            return {
+                text: entry.text,
+                test: function (date) {
+                    return (from === null || date.getTime() >= from) && (to === null || date.getTime() <= to);
+                }
+            };
+        }
+
+        text = Ext.String.trim(eDate.normalizeJalaliDigits(String(entry)));
+        match = /^(\d{1,4}\/\d{1,2}\/\d{1,2})?\s*(\.\.\s*(\d{1,4}\/\d{1,2}\/\d{1,2})?)?$/.exec(text);
+        if (match && (match[1] || match[3])) {
+            return parseDateRule({from: match[1], to: match[2] ? match[3] : match[1]}, format);
+        }
+        match = /^every\s+(\d{1,2})(?:\s+(.+))?$/i.exec(text);
+        if (match) {
+            day = parseInt(match[1], 10);
+            month = match[2] ? findMonth(match[2]) : null;
+            return {
+                test: function (date, jd) {
+                    return jd.jalaliDate === day && (month === null || jd.jalaliMonth === month);
+                }
+            };
+        }
+        match = /^last day of each(?: jalali)? (month|season|year)$/i.exec(text);
+        if (match) {
+            month = match[1].toLowerCase();
+            return {
+                test: function (date, jd) {
+                    if ((month === 'season' && jd.jalaliMonth % 3 !== 2) ||
+                            (month === 'year' && jd.jalaliMonth !== 11)) {
+                        return false;
+                    }
+                    return jd.jalaliDate === eDate.correctJalaliDateOfMonth(jd.jalaliYear, jd.jalaliMonth, 31);
+                }
+            };
+        }
+        regex = new RegExp(entry.replace ? entry : String(entry));
+        return {
+            test: function (date) {
+                return regex.test(eDate.dateFormat(date, format));
+            }
+        };
+    };
+
+    /**
+     * Parses the date rules of a picker or field again and refreshes it, or the picker of a date field.
+     * @param {Ext.Component} component The picker or field.
+     */
+    updateDateRules = function (component) {
+        var rules = Ext.ux.JalaliDatePlugin.getDateRules(component, component.format),
+            picker = component.isXType && component.isXType('datefield') ? component.picker : component;
+
+        Ext.apply(component, rules);
+        if (picker && picker !== component) {
+            Ext.apply(picker, rules);
+        }
+        if (picker && picker.rendered && picker.update) {
+            picker.update(picker.activeDate || picker.value, true);
+        }
+    };
+
+    /**
+     * Replaces setDisabledDates of date pickers and fields. An array is parsed to date rules, see
+     * {@link Ext.ux.JalaliDatePlugin#parseDateRules}, and a regular expression replaces them.
+     * @param {String[]/RegExp} disabledDates The disabled dates, or a regular expression matching the formatted
+     * dates.
+     * @return {Ext.Component} this
+     */
+    setDisabledDates = function (disabledDates) {
+        var me = this;
+        if (Ext.isArray(disabledDates) || disabledDates === null || disabledDates === undefined) {
+            me.disabledDates = disabledDates;
+        } else {
+            me.disabledDates = null;
+            me.disabledDatesRE = disabledDates;
+        }
+        updateDateRules(me);
+        return me;
+    };
+
+    /**
+     * Instruments DateField.getErrors, to check the value against disabledDates and enabledDates rules too.
+     * @param {Function} original The getErrors method of the field being replaced.
+     * @param {Object} value (optional) The value to validate. Defaults to the raw value.
+     * @return {String[]} The errors.
+     */
+    getErrors = function (original, value) {
+        var me = this,
+            errors = original.apply(me, Array.prototype.slice.call(arguments, 1)),
+            date,
+            rule;
+
+        value = arguments.length > 1 ? value : me.processRawValue(me.getRawValue());
+        date = Ext.isDate(value) ? value : me.parseDate(value);
+        rule = date && Ext.ux.JalaliDatePlugin.checkDateRules(me, date);
+        if (rule) {
+            errors.push(rule.text || Ext.String.format(me.disabledDatesText, me.formatDate(date)));
+        }
+        return errors;
+    };
+
+    /**
+     * Updates column headers of a rendered date picker with its day names.
+     * @param {Ext.picker.Date} picker The picker.
+     */
+    updateDayNames = function (picker) {
+        picker.el.select('th.' + picker.baseCls + '-column-header').each(function (header, c, i) {
+            var name = picker.dayNames[i];
+            header.dom.title = name;
+            header.dom.setAttribute('aria-label', name);
+            header.dom.firstChild.innerHTML = picker.getDayInitial ? picker.getDayInitial(name) : name.substr(0, 1);
+        });
+    };
+
+    /**
+     * Returns the active date of a picker moved by a number of units, in the current calendar of the picker.
+     * Pickers created by Jalali date fields are always Jalali.
+     * @param {Ext.picker.Date} picker The picker.
+     * @param {String} unit Ext.Date.DAY, Ext.Date.MONTH or Ext.Date.YEAR.
+     * @param {Number} value Number of units to add, negative to subtract.
+     * @return {Date} The new date.
+     */
+    moveDate = function (picker, unit, value) {
+        var eDate = Ext.Date;
+        if (unit !== eDate.DAY && (!picker.getCalendar || picker.getCalendar() === 'jalali')) {
+            return eDate.addJalali(picker.activeDate, unit, value);
+        }
+        return eDate.add(picker.activeDate, unit, value);
+    };
+
+    /**
+     * Shows a date in a picker, moved within its minDate and maxDate.
+     * @param {Ext.picker.Date} picker The picker.
+     * @param {Date} date The date.
+     */
+    moveTo = function (picker, date) {
+        var eDate = Ext.Date,
+            day = eDate.clearTime(date, true);
+
+        if (picker.minDate && day < eDate.clearTime(picker.minDate, true)) {
+            day = eDate.clearTime(picker.minDate, true);
+        } else if (picker.maxDate && day > eDate.clearTime(picker.maxDate, true)) {
+            day = eDate.clearTime(picker.maxDate, true);
+        }
+        picker.update(day);
+    };
+
+    /**
+     * Key navigation of pickers, in Jalali months and years. Left and Right move by a day (with Ctrl, a month), and
+     * they are swapped when the picker is right-to-left. Up and Down move by a week (with Ctrl, a year, like Ext).
+     * PageUp and PageDown move by a month, with Shift a season and with Ctrl a year. Home and End go to the first
+     * and last day of the month. Dates out of minDate and maxDate are not passed.
+     */
+    navigationKeys = {
+        left: function (e) {
+            var step = this.rightToLeft ? 1 : -1;
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.MONTH, step) : moveDate(this, Ext.Date.DAY, step));
+            e.preventDefault();
+        },
+        right: function (e) {
+            var step = this.rightToLeft ? -1 : 1;
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.MONTH, step) : moveDate(this, Ext.Date.DAY, step));
+            e.preventDefault();
+        },
+        up: function (e) {
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.YEAR, 1) : moveDate(this, Ext.Date.DAY, -7));
+            e.preventDefault();
+        },
+        down: function (e) {
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.YEAR, -1) : moveDate(this, Ext.Date.DAY, 7));
+            e.preventDefault();
+        },
+        pageUp: function (e) {
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.YEAR, -1) :
+                    moveDate(this, Ext.Date.MONTH, e.shiftKey ? -3 : -1));
+            e.preventDefault();
+        },
+        pageDown: function (e) {
+            moveTo(this, e.ctrlKey ? moveDate(this, Ext.Date.YEAR, 1) :
+                    moveDate(this, Ext.Date.MONTH, e.shiftKey ? 3 : 1));
+            e.preventDefault();
+        },
+        home: function (e) {
+            var eDate = Ext.Date,
+                jalali = !this.getCalendar || this.getCalendar() === 'jalali';
+            moveTo(this, jalali ? eDate.getJalaliFirstDateOfMonth(this.activeDate) :
+                    eDate.getFirstDateOfMonth(this.activeDate));
+            e.preventDefault();
+        },
+        end: function (e) {
+            var eDate = Ext.Date,
+                jalali = !this.getCalendar || this.getCalendar() === 'jalali';
+            moveTo(this, jalali ? eDate.getJalaliLastDateOfMonth(this.activeDate) :
+                    eDate.getLastDateOfMonth(this.activeDate));
+            e.preventDefault();
+        }
+    };
+
     /**
      * Replaces DateField.safeParse method. Since that method adds an hour field to format,
-     * the parse functions in Date.parseFunctions are not used. Here we skip the hour conversion part.
-     * It may produce errors when using different time zones.
+     * the parse functions in Date.parseFunctions are not used. Here we parse the value with the format itself.
+     * Jalali dates without time are created at 12:00, so the time is cleared, unless the format has its own
+     * time codes. Persian and Arabic-Indic digits are normalized before parsing.
      * @param {String} value The value to attempt to parse.
      * @param {String} format A valid date format (see {@link Ext.Date#parse}).
      * @return {Date} The parsed Date object, or null if the value could not be successfully parsed.
@@ -71,13 +861,77 @@
             strict = me.useStrict,
             parsedDate;
 
-        parsedDate = Ext.Date.parseDate(value, format, strict);
+        parsedDate = Ext.Date.parseDate(Ext.Date.normalizeJalaliDigits(value), format, strict);
         if (parsedDate) {
-            result = Ext.Date.add(parsedDate, Ext.Date.HOUR, -12);
+            result = Ext.Date.formatContainsHourInfo(format) ? parsedDate : Ext.Date.clearTime(parsedDate);
         }
         return result;
     };
 
+    /**
+     * Instruments DateField.parseDate, to accept shorthand input too when no format matches: "+3" or "-2w" for
+     * days or weeks from today, today, yesterday and tomorrow (like "امروز", "دیروز" and "فردا" in Persian), and
+     * dates without separators like "14020503". See {@link Ext.Date#parseJalaliShorthand}.
+     * @param {Function} original The parseDate method of the field being replaced.
+     * @param {Object} value The value to parse.
+     * @return {Date} The parsed date, or a false value.
+     */
+    parseDate = function (original, value) {
+        var me = this,
+            date = original.call(me, value);
+
+        if (!date && value && Ext.isString(value)) {
+            date = Ext.Date.parseJalaliShorthand(value, me.useStrict);
+            date = date && Ext.Date.clearTime(date);
+        }
+        return date;
+    };
+
+    /**
+     * Runs after DateField.onChange, to preview the date of a typed value.
+     * @param {Object} newValue The new value.
+     * @param {Object} oldValue The original value.
+     */
+    onChange = function (newValue, oldValue) {
+        updatePreview(this);
+    };
+
+    /**
+     * Shows the Jalali date of a typed value under a focused date field, formatted with previewFormat of the field
+     * (defaults to 'E r e B'), until the value is committed. It is not shown when the typed text is already the
+     * formatted date, or when showPreview of the field is false.
+     * @param {Ext.form.field.Date} field The field.
+     */
+    updatePreview = function (field) {
+        var tip = field.previewTip,
+            raw = field.getRawValue(),
+            value = field.parseDate(raw),
+            show = field.showPreview !== false && field.hasFocus && Ext.isDate(value) &&
+                raw !== field.formatDate(value);
+
+        if (!show) {
+            if (tip) {
+                tip.hide();
+            }
+            return;
+        }
+        if (!tip) {
+            tip = field.previewTip = Ext.create('Ext.tip.Tip', {
+                cls: Ext.baseCSSPrefix + 'jalali-preview'
+            });
+            field.on({
+                blur: function () {
+                    tip.hide();
+                },
+                destroy: function () {
+                    tip.destroy();
+                }
+            });
+        }
+        tip.update(Ext.Date.format(value, field.previewFormat || 'E r e B'));
+        tip.showBy(field.inputEl, field.rightToLeft ? 'tr-br?' : 'tl-bl?');
+    };
+
     /**
      * Override create picker in DateField.
      */
@@ -85,33 +939,52 @@
         var me = this,
             format = Ext.String.format;
 
-        return new Ext.picker.Date(Ext.applyIf({
-            pickerField: me,
+        return new Ext.picker.Date(Ext.applyIf(localize(me, Ext.apply(legacy ? {
             ownerCt: me.ownerCt,
             renderTo: Ext.getBody(),
+            focusOnShow: true
+        } : {
+            id: me.id + '-picker',
+            preventRefocus: true,
+            ariaDisabledDatesText: me.ariaDisabledDatesText,
+            ariaDisabledDaysText: me.ariaDisabledDaysText,
+            ariaMinText: format(me.ariaMinText, me.formatDate(me.minValue, me.ariaFormat)),
+            ariaMaxText: format(me.ariaMaxText, me.formatDate(me.maxValue, me.ariaFormat))
+        }, {
+            rightToLeft: !!me.rightToLeft,
+            cls: me.rightToLeft ? Ext.ux.JalaliDatePlugin.rtlCls : '',
+            locale: me.locale,
+            pickerField: me,
             floating: true,
             hidden: true,
-            focusOnShow: true,
             minDate: me.minValue,
             maxDate: me.maxValue,
             disabledDatesRE: me.disabledDatesRE,
             disabledDatesText: me.disabledDatesText,
+            disabledDateRules: me.disabledDateRules,
+            enabledDateRules: me.enabledDateRules,
             disabledDays: me.disabledDays,
             disabledDaysText: me.disabledDaysText,
+            showHolidays: me.showHolidays,
+            disableHolidays: me.disableHolidays,
+            secondaryCalendar: me.secondaryCalendar,
             format: me.format,
             showToday: me.showToday,
             startDay: me.startDay,
             minText: format(me.minText, me.formatDate(me.minValue)),
             maxText: format(me.maxText, me.formatDate(me.maxValue)),
-            listeners: {
+            listeners: Ext.apply({
                 scope: me,
                 select: me.onSelect
-            },
-            keyNavConfig: {
+            }, legacy ? null : {tabout: me.onTabOut}),
+            keyNavConfig: Ext.apply({
                 esc: function() {
+                    if (!legacy) {
+                        me.inputEl.focus();
+                    }
                     me.collapse();
                 }
-            },
+            }, navigationKeys),
             monthNames: Ext.Date.jalaliMonthNames,
             createMonthPicker: Ext.Function.createSequence(Ext.picker.Date.prototype.createMonthPicker, afterCreateMonthPicker),
             showMonthPicker: Ext.Function.createSequence(Ext.picker.Date.prototype.showMonthPicker, afterShowMonthPicker),
@@ -122,7 +995,179 @@
             showNextYear: showNextYear,
             update: update,
             fullUpdate: fullUpdate
-        }, Ext.ux.JalaliDatePlugin.localization.DatePicker));
+        }), ['createMonthPicker', 'showMonthPicker', 'update', 'fullUpdate']), getLocalization(me.locale).DatePicker));
+    };
+
+    /**
+     * Adds this plugin to the picker config of a modern date field, before the picker is created.
+     */
+    addPickerPlugin = function () {
+        var picker = this._picker,
+            config;
+
+        if (picker && !picker.isPicker) {
+            config = Ext.apply({}, Ext.isObject(picker) ? picker : null);
+            config.plugins = Ext.Array.from(config.plugins).concat('jalalidate');
+            config.locale = config.locale || this.locale;
+            this._picker = config;
+        }
+    };
+
+    /**
+     * Converts values of the slots of a modern date picker to a date.
+     * @param {Object} values Values with day, month (1-based) and year properties.
+     * @param {String} calendar Calendar of the values, 'jalali' or 'gregorian'.
+     * @return {Date} The date at midnight, or null if there is no year.
+     */
+    slotsToDate = function (values, calendar) {
+        if (!values || !Ext.isNumber(values.year)) {
+            return null;
+        }
+        if (calendar === 'jalali') {
+            return Ext.Date.clearTime(Ext.Date.createJalali(values.year, (values.month || 1) - 1, values.day || 1));
+        }
+        return new Date(values.year, (values.month || 1) - 1, values.day || 1);
+    };
+
+    /**
+     * Replaces createSlots method of modern date picker. Years are Jalali, from yearFrom to yearTo, and months have
+     * Jalali names. Numbers are shown in the digit set of {@link Ext.Date#jalaliDigits}.
+     */
+    createSlots = function () {
+        var me = this,
+            eDate = Ext.Date,
+            yearFrom = me.getYearFrom(),
+            yearTo = me.getYearTo(),
+            step = yearFrom > yearTo ? -1 : 1,
+            years = [],
+            days = [],
+            months = [],
+            i;
+
+        for (i = yearFrom; step > 0 ? i <= yearTo : i >= yearTo; i += step) {
+            years.push({text: eDate.toJalaliDigits(i), value: i});
+        }
+        for (i = 1; i <= 31; i += 1) {
+            days.push({text: eDate.toJalaliDigits(i), value: i});
+        }
+        for (i = 0; i < 12; i += 1) {
+            months.push({text: eDate.jalaliMonthNames[i], value: i + 1});
+        }
+        // the cached day slot is destroyed with the old slots
+        delete me.daySlot;
+        me.setSlots(Ext.Array.map(me.getSlotOrder(), function (name) {
+            return me.createSlot(name, days, months, years);
+        }));
+    };
+
+    /**
+     * Updates the day slot of a modern date picker with the days of a Jalali month.
+     * @param {Ext.picker.Date} picker The picker.
+     * @param {Number} month Jalali month (1-based).
+     * @param {Number} year Jalali year.
+     * @return {Boolean} True if the days are changed.
+     */
+    updateDaySlot = function (picker, month, year) {
+        var slot = picker.getDaySlot(),
+            days = [],
+            i;
+
+        if (!slot) {
+            return false;
+        }
+        for (i = 1; i <= picker.getDaysInMonth(month, year); i += 1) {
+            days.push({text: Ext.Date.toJalaliDigits(i), value: i});
+        }
+        if (slot.getStore().getCount() === days.length) {
+            return false;
+        }
+        slot.getStore().setData(days);
+        return true;
+    };
+
+    /**
+     * Replaces setValue method of modern date picker. Dates are set as Jalali day, month and year.
+     * @param {Date/Object} value The date, or values of the slots.
+     * @param {Boolean} animated True to animate the slots.
+     */
+    setSlotValue = function (value, animated) {
+        var jd;
+
+        if (Ext.isDate(value)) {
+            jd = Ext.Date.convertToJalali(value);
+            value = {
+                day: jd.jalaliDate,
+                month: jd.jalaliMonth + 1,
+                year: jd.jalaliYear
+            };
+            updateDaySlot(this, value.month, value.year);
+        }
+        Ext.picker.Picker.prototype.setValue.call(this, value, animated);
+        this.onSlotPick();
+        return this;
+    };
+
+    /**
+     * Replaces getValue method of modern date picker.
+     * @param {Boolean} useDom True to read the values from the DOM of the slots.
+     * @return {Date} The date of Jalali slots, at midnight, or null if no slot has a value.
+     */
+    getSlotValue = function (useDom) {
+        var values = {},
+            items = this.getItems().items,
+            i;
+
+        for (i = 0; i < items.length; i += 1) {
+            if (items[i] instanceof Ext.picker.Slot) {
+                values[items[i].getName()] = items[i].getValue(useDom);
+            }
+        }
+        if (values.year === null && values.month === null && values.day === null) {
+            return null;
+        }
+        values.year = Ext.isNumber(values.year) ? values.year : 1;
+        values.month = Ext.isNumber(values.month) ? values.month : 1;
+        values.day = Math.min(Ext.isNumber(values.day) ? values.day : 1,
+                this.getDaysInMonth(values.month, values.year));
+        return slotsToDate(values, 'jalali');
+    };
+
+    /**
+     * Replaces getDaysInMonth method of modern date picker.
+     * @param {Number} month Jalali month (1-based).
+     * @param {Number} year Jalali year.
+     * @return {Number} Number of days in the Jalali month.
+     */
+    getSlotDaysInMonth = function (month, year) {
+        return Ext.Date.correctJalaliDateOfMonth(year, month - 1, 31);
+    };
+
+    /**
+     * Replaces onSlotPick method of modern date picker, so the day slot has the days of the Jalali month.
+     */
+    onSlotPick = function () {
+        var me = this,
+            value = me.getValue(true),
+            slot = me.getDaySlot(),
+            index,
+            jd;
+
+        if (!value || !slot) {
+            return;
+        }
+        Ext.picker.Picker.prototype.onSlotPick.apply(me, arguments);
+
+        jd = Ext.Date.convertToJalali(value);
+        if (!updateDaySlot(me, jd.jalaliMonth + 1, jd.jalaliYear)) {
+            return;
+        }
+        index = slot.getStore().find(slot.getValueField(), jd.jalaliDate);
+        if (index === -1) {
+            return;
+        }
+        slot.selectedIndex = index;
+        slot.scrollToItem(Ext.get(slot.getViewItems()[index]));
+        slot.setValue(slot.getValue(true));
     };
 
     /**
@@ -217,6 +1262,14 @@
         return me;
     };
 
+    /**
+     * Overridden fullUpdate method of DatePicker. It shows Jalali dates, disables dates by the date rules of
+     * disabledDates and enabledDates with their tooltips, and when {@link Ext.ux.JalaliHolidays} is
+     * loaded, holidays are styled and titled with their names. They are disabled too, if disableHolidays is true.
+     * Set showHolidays to false to ignore holidays. When secondaryCalendar is set, cells, titles and the month button
+     * show dates of that calendar too.
+     * @param {Date} date The date that should be selected.
+     */
     fullUpdate = function(date) {
         var me = this,
             cells = me.cells.elements,
@@ -240,6 +1293,11 @@
             startingPos = firstOfMonth.getDay() - me.startDay,
             previousMonth = eDate.addJalali(date, eDate.MONTH, -1),
             longDayFormat = me.longDayFormat,
+            holidays = me.showHolidays !== false ? Ext.ux.JalaliHolidays : null,
+            holidayCls = me.holidayCls || Ext.baseCSSPrefix + 'jalali-holiday',
+            secondary = me.secondaryCalendar ? Ext.ux.JalaliDatePlugin.secondaryCalendars[me.secondaryCalendar] : null,
+            secondaryCls = Ext.baseCSSPrefix + 'jalali-secondary',
+            plugin = Ext.ux.JalaliDatePlugin,
             prevStart,
             current,
             disableToday,
@@ -248,6 +1306,7 @@
             html,
             cls,
             formatValue,
+            rule,
             value;
 
         if (startingPos < 0) {
@@ -263,11 +1322,16 @@
             tempDate = eDate.clearTime(new Date());
             disableToday = (tempDate < min || tempDate > max ||
                 (ddMatch && format && ddMatch.test(eDate.dateFormat(tempDate, format))) ||
-                (ddays && ddays.indexOf(tempDate.getDay()) !== -1));
+                plugin.checkDateRules(me, tempDate) ||
+                (ddays && ddays.indexOf(tempDate.getDay()) !== -1) ||
+                (holidays && me.disableHolidays && holidays.isHoliday(tempDate)));
 
+            me.todayDisabled = disableToday;
             if (!me.disabled) {
                 me.todayBtn.setDisabled(disableToday);
-                me.todayKeyListener.setDisabled(disableToday);
+                if (me.todayKeyListener) {
+                    me.todayKeyListener.setDisabled(disableToday);
+                }
             }
         }
 
@@ -288,12 +1352,16 @@
                 }, true);
             }
             if (value === newDate) {
+                me.activeCell = cell;
                 cls += ' ' + me.selectedCls;
                 me.fireEvent('highlightitem', me, cell);
-                if (visible && me.floating) {
+                if (legacy && visible && me.floating) {
                     Ext.fly(cell.firstChild).focus(50);
                 }
             }
+            if (!legacy) {
+                cell.setAttribute('aria-selected', value === newDate);
+            }
 
             if (value < min) {
                 cls += ' ' + disabledCls;
@@ -304,6 +1372,9 @@
             } else if (ddays && ddays.indexOf(current.getDay()) !== -1) {
                 cell.title = ddaysText;
                 cls += ' ' + disabledCls;
+            } else if ((rule = plugin.checkDateRules(me, current))) {
+                cell.title = rule.text || ddText.replace('%0', eDate.dateFormat(current, format));
+                cls += ' ' + disabledCls;
             } else if (ddMatch && format) {
                 formatValue = eDate.dateFormat(current, format);
                 if (ddMatch.test(formatValue)) {
@@ -311,6 +1382,22 @@
                     cls += ' ' + disabledCls;
                 }
             }
+            if (cls.indexOf(disabledCls) === -1 && (rule = plugin.findDateRule(me.enabledDateRules, current)) &&
+                    rule.text) {
+                cell.title = rule.text;
+            }
+            if (holidays && holidays.isHoliday(current)) {
+                cls += ' ' + holidayCls;
+                if (cls.indexOf(disabledCls) === -1) {
+                    cell.title = holidays.getHolidayName(current, me.locale);
+                    if (me.disableHolidays) {
+                        cls += ' ' + disabledCls;
+                    }
+                }
+            }
+            if (secondary) {
+                cell.title += ' (' + eDate.format(current, secondary.date) + ')';
+            }
             cell.className = cls + ' ' + me.cellCls;
         };
 
@@ -325,11 +1412,54 @@
                 html = i - startingPos + 1;
                 cls = me.activeCls;
             }
-            textNodes[i].innerHTML = html;
             current.setDate(current.getDate() + 1);
+            html = eDate.toJalaliDigits(html);
+            if (secondary) {
+                html += '<span class="' + secondaryCls + '">' + eDate.format(current, secondary.day) + '</span>';
+            }
+            textNodes[i].innerHTML = html;
             setCellClass(cells[i], cls);
         }
 
-        me.monthBtn.setText(Ext.Date.format(date, me.monthYearFormat));
+        html = Ext.Date.format(date, me.monthYearFormat);
+        if (secondary) {
+            html += ' \u2014 ' + secondaryMonths(firstOfMonth, eDate.getJalaliLastDateOfMonth(date), secondary);
+        }
+        me.monthBtn.setText(html);
+    };
+
+    /**
+     * Returns the months of a secondary calendar that overlap a Jalali month, like "Jul/Aug 2023" or
+     * "Dec 2023/Jan 2024".
+     * @param {Date} first The first day of the Jalali month.
+     * @param {Date} last The last day of the Jalali month.
+     * @param {Object} secondary Formats of the secondary calendar.
+     * @return {String} The months.
+     */
+    secondaryMonths = function (first, last, secondary) {
+        var eDate = Ext.Date,
+            dates = [first, eDate.add(first, eDate.DAY, 15), last],
+            result = [],
+            previous = null,
+            month,
+            year,
+            i;
+
+        for (i = 0; i < dates.length; i += 1) {
+            month = eDate.format(dates[i], secondary.month);
+            year = eDate.format(dates[i], secondary.year);
+            if (!previous || previous.month !== month || previous.year !== year) {
+                previous = {month: month, year: year};
+                result.push(previous);
+            }
+        }
+        for (i = 0; i < result.length; i += 1) {
+            if (i === result.length - 1 || result[i].year !== result[i + 1].year) {
+                result[i] = result[i].month + ' ' + result[i].year;
+            } else {
+                result[i] = result[i].month;
+            }
+        }
+        return result.join('/');
     };
 }());
@@ -0,0 +1,383 @@
+/**
+ * @class Ext.ux.JalaliDateRangePicker
+ *
+ * <p>A picker for selecting a range of dates in Jalali calendar. It shows two adjacent Jalali months,
+ * each one is an Ext.picker.Date with {@link Ext.ux.JalaliDatePlugin}. The first click selects the start date,
+ * the second one selects the end date and fires the select event. Between the two clicks, the range under
+ * the mouse is previewed.
+ *
+ * <p>minDate, maxDate, disabledDays, disabledDates and enabledDates are passed to both pickers. Ranges are clamped
+ * to minDate and maxDate, and never start or end on a disabled date. A range with disabled dates inside is not
+ * selected, and fires the invalidrange event instead, unless allowDisabledDates is true. Example:
+ * <pre><code>
+ Ext.create('Ext.ux.JalaliDateRangePicker', {
+     renderTo: Ext.getBody(),
+     maxDate: new Date(),
+     listeners: {
+         select: function (picker, start, end) {
+             console.log(Ext.Date.format(start, 'Jalali'), Ext.Date.format(end, 'Jalali'));
+         }
+     }
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateRangePicker', {
+        extend: 'Ext.panel.Panel',
+        alias: 'widget.jalalidaterangepicker',
+        requires: ['Ext.picker.Date', 'Ext.ux.JalaliDatePlugin'],
+
+        border: false,
+        layout: 'hbox',
+
+        /**
+         * @cfg {Date} minDate Minimum allowable date.
+         */
+        minDate: null,
+
+        /**
+         * @cfg {Date} maxDate Maximum allowable date.
+         */
+        maxDate: null,
+
+        /**
+         * @cfg {Number[]} disabledDays An array of days to disable, 0-based (Sunday is 0).
+         */
+        disabledDays: null,
+
+        /**
+         * @cfg {Array} disabledDates An array of dates to disable: Jalali dates, ranges, recurring rules or regular
+         * expressions. See {@link Ext.ux.JalaliDatePlugin#parseDateRules}.
+         */
+        disabledDates: null,
+
+        /**
+         * @cfg {Array} enabledDates An array of dates to enable, like disabledDates. When set, other dates are
+         * disabled.
+         */
+        enabledDates: null,
+
+        /**
+         * @cfg {Boolean} allowDisabledDates True to select ranges with disabled dates inside, like a week with a
+         * disabled Friday. Their first and last dates are never disabled.
+         */
+        allowDisabledDates: false,
+
+        /**
+         * @cfg {Date} startDate Initial start date of the range.
+         */
+        startDate: null,
+
+        /**
+         * @cfg {Date} endDate Initial end date of the range.
+         */
+        endDate: null,
+
+        /**
+         * @cfg {String} secondaryCalendar 'gregorian' or 'hijri' to show dates of that calendar in the pickers too.
+         */
+        secondaryCalendar: null,
+
+        /**
+         * @cfg {Boolean} showPresets False to hide preset ranges.
+         */
+        showPresets: true,
+
+        /**
+         * @cfg {Boolean} rightToLeft True to show the first month on the right. The fa_IR localization sets it.
+         */
+        rightToLeft: false,
+
+        rangeCls: Ext.baseCSSPrefix + 'jalali-range',
+        rangeStartCls: Ext.baseCSSPrefix + 'jalali-range-start',
+        rangeEndCls: Ext.baseCSSPrefix + 'jalali-range-end',
+        previewCls: Ext.baseCSSPrefix + 'jalali-range-preview',
+
+        thisMonthText: 'This month',
+        lastMonthText: 'Last month',
+        thisSeasonText: 'This season',
+        thisYearText: 'This year',
+
+        /**
+         * @event select
+         * Fires when a range is selected.
+         * @param {Ext.ux.JalaliDateRangePicker} this
+         * @param {Date} start The start date
+         * @param {Date} end The end date
+         */
+
+        /**
+         * @event invalidrange
+         * Fires when a range is not selected, because all its dates are disabled, or it has disabled dates inside
+         * and {@link #allowDisabledDates} is false.
+         * @param {Ext.ux.JalaliDateRangePicker} this
+         * @param {Date} start The start date
+         * @param {Date} end The end date
+         * @param {Date} disabledDate The first disabled date of the range
+         */
+
+        initComponent: function () {
+            var me = this,
+                active = me.startDate || new Date();
+
+            Ext.ux.JalaliDatePlugin.applyLocalization(me, Ext.ux.JalaliDatePlugin.localization.DateRangePicker);
+
+            me.firstPicker = me.createMonthPicker(active);
+            me.secondPicker = me.createMonthPicker(Ext.Date.addJalali(active, Ext.Date.MONTH, 1));
+            // right-to-left pickers show the first month on the right
+            me.items = me.rightToLeft ? [me.secondPicker, me.firstPicker] : [me.firstPicker, me.secondPicker];
+            if (me.showPresets) {
+                me.bbar = [
+                    {text: me.thisMonthText, handler: Ext.Function.bind(me.selectPreset, me, ['thisMonth'])},
+                    {text: me.lastMonthText, handler: Ext.Function.bind(me.selectPreset, me, ['lastMonth'])},
+                    {text: me.thisSeasonText, handler: Ext.Function.bind(me.selectPreset, me, ['thisSeason'])},
+                    {text: me.thisYearText, handler: Ext.Function.bind(me.selectPreset, me, ['thisYear'])}
+                ];
+            }
+
+            me.callParent(arguments);
+
+            me.firstPicker.monthOffset = 1;
+            me.secondPicker.monthOffset = -1;
+            me.startDate = me.startDate && Ext.Date.clearTime(me.startDate, true);
+            me.endDate = me.endDate && Ext.Date.clearTime(me.endDate, true);
+        },
+
+        /**
+         * Creates one of the month pickers. Its update and fullUpdate are instrumented after the Jalali plugin, so
+         * the other month follows it and the range is highlighted.
+         * @param {Date} value Initial date of the picker.
+         * @return {Ext.picker.Date} The picker.
+         * @private
+         */
+        createMonthPicker: function (value) {
+            var me = this,
+                picker = Ext.create('Ext.picker.Date', {
+                    plugins: ['jalalidate'],
+                    value: value,
+                    showToday: false,
+                    minDate: me.minDate,
+                    maxDate: me.maxDate,
+                    disabledDays: me.disabledDays,
+                    disabledDates: me.disabledDates,
+                    enabledDates: me.enabledDates,
+                    secondaryCalendar: me.secondaryCalendar,
+                    listeners: {
+                        scope: me,
+                        select: me.onPickerSelect,
+                        afterrender: me.onPickerRender
+                    }
+                });
+
+            picker.update = Ext.Function.createSequence(picker.update, function () {
+                me.syncMonths(picker);
+            });
+            picker.fullUpdate = Ext.Function.createSequence(picker.fullUpdate, function () {
+                me.highlightRange();
+            });
+            picker.selectedUpdate = Ext.Function.createSequence(picker.selectedUpdate, function () {
+                me.highlightRange();
+            });
+            return picker;
+        },
+
+        /**
+         * Shows the month after or before the updated picker in the other picker.
+         * @param {Ext.picker.Date} picker The updated picker.
+         * @private
+         */
+        syncMonths: function (picker) {
+            var me = this,
+                other = picker === me.firstPicker ? me.secondPicker : me.firstPicker;
+
+            if (me.syncing || !other || !other.rendered) {
+                return;
+            }
+            me.syncing = true;
+            other.update(Ext.Date.addJalali(picker.activeDate, Ext.Date.MONTH, picker.monthOffset));
+            me.syncing = false;
+        },
+
+        /**
+         * Previews the range under the mouse when only start date is selected.
+         * @private
+         */
+        onPickerRender: function (picker) {
+            var me = this;
+            me.mon(picker.eventEl, {
+                scope: me,
+                mouseover: {
+                    fn: function (e, t) {
+                        if (me.startDate && !me.endDate && t.dateValue) {
+                            me.highlightRange(new Date(t.dateValue));
+                        }
+                    },
+                    delegate: '.' + picker.baseCls + '-date'
+                },
+                mouseleave: function () {
+                    me.highlightRange();
+                }
+            });
+        },
+
+        /**
+         * Selects the start date, or the end date when start date is already selected.
+         * @private
+         */
+        onPickerSelect: function (picker, date) {
+            var me = this;
+            date = Ext.Date.clearTime(date, true);
+            if (!me.startDate || me.endDate) {
+                me.startDate = date;
+                me.endDate = null;
+                me.highlightRange();
+            } else {
+                me.setRange(me.startDate, date);
+            }
+        },
+
+        /**
+         * Selects one of the preset ranges.
+         * @param {String} preset One of 'thisMonth', 'lastMonth', 'thisSeason' and 'thisYear'.
+         */
+        selectPreset: function (preset) {
+            var range = Ext.ux.JalaliDatePlugin.getPresetRange(preset);
+
+            if (range) {
+                this.setRange(range[0], range[1]);
+            }
+        },
+
+        /**
+         * Sets the selected range and fires the select event. Dates are swapped if end is before start, clamped to
+         * minDate and maxDate, and moved inwards from disabled dates. If all dates are disabled, or disabled dates
+         * are left inside and {@link #allowDisabledDates} is false, the range is not set and the invalidrange event
+         * is fired.
+         * @param {Date} start The start date.
+         * @param {Date} end The end date.
+         * @return {Ext.ux.JalaliDateRangePicker} this
+         */
+        setRange: function (start, end) {
+            var me = this,
+                eDate = Ext.Date,
+                disabledDate = null,
+                from, to, date, tmp;
+
+            start = eDate.clearTime(start, true);
+            end = eDate.clearTime(end, true);
+            if (end < start) {
+                tmp = start;
+                start = end;
+                end = tmp;
+            }
+            if (me.minDate && start < eDate.clearTime(me.minDate, true)) {
+                start = eDate.clearTime(me.minDate, true);
+            }
+            if (me.maxDate && end > eDate.clearTime(me.maxDate, true)) {
+                end = eDate.clearTime(me.maxDate, true);
+            }
+            from = start;
+            to = end;
+            while (start <= end && me.isDisabledDate(start)) {
+                start = eDate.add(start, eDate.DAY, 1);
+            }
+            while (end >= start && me.isDisabledDate(end)) {
+                end = eDate.add(end, eDate.DAY, -1);
+            }
+            if (start > end) {
+                disabledDate = from;
+            } else if (!me.allowDisabledDates) {
+                for (date = start; date <= end && !disabledDate; date = eDate.add(date, eDate.DAY, 1)) {
+                    if (me.isDisabledDate(date)) {
+                        disabledDate = date;
+                    }
+                }
+            }
+            if (disabledDate) {
+                me.fireEvent('invalidrange', me, from, to, disabledDate);
+                return me;
+            }
+            me.startDate = start;
+            me.endDate = end;
+            if (me.firstPicker.rendered) {
+                me.firstPicker.update(start);
+            }
+            me.highlightRange();
+            me.fireEvent('select', me, start, end);
+            return me;
+        },
+
+        /**
+         * Checks if a date is disabled in the pickers, by disabledDays, disabledDates or enabledDates. minDate and
+         * maxDate are not checked.
+         * @param {Date} date The date.
+         * @return {Boolean} True if the date is disabled.
+         */
+        isDisabledDate: function (date) {
+            var picker = this.firstPicker,
+                re = picker.disabledDatesRE;
+
+            return !!((picker.disabledDays && Ext.Array.contains(picker.disabledDays, date.getDay())) ||
+                Ext.ux.JalaliDatePlugin.checkDateRules(picker, date) ||
+                (re && picker.format && re.test(Ext.Date.dateFormat(date, picker.format))));
+        },
+
+        /**
+         * Returns the selected range.
+         * @return {Date[]} An array containing start and end dates, or null if no range is selected.
+         */
+        getRange: function () {
+            return this.startDate && this.endDate ? [this.startDate, this.endDate] : null;
+        },
+
+        /**
+         * Adds range classes to the cells of both pickers.
+         * @param {Date} hoverDate (optional) The date under the mouse, previewed as the end date.
+         * @private
+         */
+        highlightRange: function (hoverDate) {
+            var me = this,
+                start = me.startDate ? me.startDate.getTime() : null,
+                end = me.endDate ? me.endDate.getTime() : start,
+                preview = !me.endDate && hoverDate;
+
+            if (preview) {
+                end = hoverDate.getTime();
+                if (end < start) {
+                    end = start;
+                    start = hoverDate.getTime();
+                }
+            }
+
+            Ext.each([me.firstPicker, me.secondPicker], function (picker) {
+                if (!picker || !picker.rendered || !picker.cells) {
+                    return;
+                }
+                Ext.each(picker.cells.elements, function (cell) {
+                    var value = cell.firstChild.dateValue,
+                        el = Ext.fly(cell);
+
+                    el.removeCls([me.rangeCls, me.rangeStartCls, me.rangeEndCls, me.previewCls, picker.selectedCls]);
+                    if (start === null || value < start || value > end || !el.hasCls(picker.activeCls)) {
+                        return;
+                    }
+                    el.addCls(preview ? me.previewCls : me.rangeCls);
+                    if (value === start) {
+                        el.addCls(me.rangeStartCls);
+                    }
+                    if (value === end) {
+                        el.addCls(me.rangeEndCls);
+                    }
+                });
+            });
+        }
+    }, function () {
+        Ext.util.CSS.createStyleSheet(
+            '.' + Ext.baseCSSPrefix + 'jalali-range { background-color: #dfe8f6; }' +
+                '.' + Ext.baseCSSPrefix + 'jalali-range-preview { background-color: #eef3fa; }' +
+                '.' + Ext.baseCSSPrefix + 'jalali-range-start, .' + Ext.baseCSSPrefix + 'jalali-range-end' +
+                ' { background-color: #99bbe8; font-weight: bold; }',
+            'ext-ux-jalali-range-picker'
+        );
+    });
+}());
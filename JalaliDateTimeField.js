@@ -0,0 +1,125 @@
+/**
+ * @class Ext.ux.JalaliDateTimeField
+ *
+ * <p>A date field for Jalali date and time. Its picker is {@link Ext.ux.JalaliDateTimePicker}, and its value keeps
+ * the time through setValue, getValue and getSubmitValue. Values are parsed with Jalali formats containing time
+ * codes, like "1402/05/03 14:30". Values typed without time are set to midnight.
+ *
+ * <p>disabledDates and enabledDates take Jalali dates, ranges and recurring rules, like the date fields of
+ * {@link Ext.ux.JalaliDatePlugin}, and values are validated against them.
+ * <pre><code>
+ Ext.create('Ext.ux.JalaliDateTimeField', {
+     renderTo: Ext.getBody(),
+     fieldLabel: 'Meeting',
+     value: new Date()
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateTimeField', {
+        extend: 'Ext.form.field.Date',
+        alias: 'widget.jalalidatetimefield',
+        requires: ['Ext.ux.JalaliDatePlugin', 'Ext.ux.JalaliDateTimePicker'],
+
+        format: 'B/Q/R H:i',
+        altFormats: 'B/Q/R G:i|B/Q/R H:i:s|B/q/r H:i|B/q/r G:i|B-Q-R H:i|B/Q/R|B/q/r|B-Q-R',
+        startDay: 6,
+
+        /**
+         * @cfg {Number} minuteIncrement Step of minute field of the picker.
+         */
+        minuteIncrement: 1,
+
+        /**
+         * @cfg {Array} enabledDates Dates to enable, like disabledDates. When set, other dates are disabled.
+         * See {@link Ext.ux.JalaliDatePlugin#parseDateRules}.
+         */
+        enabledDates: null,
+
+        initComponent: function () {
+            var me = this;
+
+            Ext.ux.JalaliDatePlugin.applyLocalization(me, Ext.ux.JalaliDatePlugin.localization.DateTimeField);
+            if (me.rightToLeft) {
+                me.cls = [me.cls, Ext.ux.JalaliDatePlugin.rtlCls].join(' ');
+                me.pickerAlign = 'tr-br?';
+            }
+            me.callParent(arguments);
+            Ext.apply(me, Ext.ux.JalaliDatePlugin.getDateRules(me, me.format));
+        },
+
+        /**
+         * Validates the value against disabledDates and enabledDates too.
+         * @param {Object} value (optional) The value to validate. Defaults to the raw value.
+         * @return {String[]} The errors.
+         */
+        getErrors: function (value) {
+            var me = this,
+                errors = me.callParent(arguments),
+                date,
+                rule;
+
+            value = arguments.length > 0 ? value : me.processRawValue(me.getRawValue());
+            date = Ext.isDate(value) ? value : me.parseDate(value);
+            rule = date && Ext.ux.JalaliDatePlugin.checkDateRules(me, date);
+            if (rule) {
+                errors.push(rule.text || Ext.String.format(me.disabledDatesText, me.formatDate(date)));
+            }
+            return errors;
+        },
+
+        /**
+         * Parses a value with a format. Persian and Arabic-Indic digits are accepted. Formats without time give
+         * midnight of the date.
+         * @param {String} value The value to attempt to parse.
+         * @param {String} format A valid date format (see {@link Ext.Date#parse}).
+         * @return {Date} The parsed Date object, or null if the value could not be successfully parsed.
+         * @private
+         */
+        safeParse: function (value, format) {
+            var parsedDate = Ext.Date.parse(Ext.Date.normalizeJalaliDigits(value), format, this.useStrict);
+            if (!parsedDate) {
+                return null;
+            }
+            return Ext.Date.formatContainsHourInfo(format) ? parsedDate : Ext.Date.clearTime(parsedDate);
+        },
+
+        createPicker: function () {
+            var me = this,
+                format = Ext.String.format;
+
+            return Ext.create('Ext.ux.JalaliDateTimePicker', {
+                pickerField: me,
+                ownerCt: me.ownerCt,
+                renderTo: Ext.getBody(),
+                floating: true,
+                hidden: true,
+                focusOnShow: true,
+                minuteIncrement: me.minuteIncrement,
+                pickerConfig: {
+                    minDate: me.minValue,
+                    maxDate: me.maxValue,
+                    disabledDatesRE: me.disabledDatesRE,
+                    disabledDates: me.disabledDates,
+                    enabledDates: me.enabledDates,
+                    disabledDatesText: me.disabledDatesText,
+                    disabledDays: me.disabledDays,
+                    disabledDaysText: me.disabledDaysText,
+                    startDay: me.startDay,
+                    secondaryCalendar: me.secondaryCalendar,
+                    minText: format(me.minText, me.formatDate(me.minValue)),
+                    maxText: format(me.maxText, me.formatDate(me.maxValue)),
+                    keyNavConfig: {
+                        esc: function () {
+                            me.collapse();
+                        }
+                    }
+                },
+                listeners: {
+                    scope: me,
+                    select: me.onSelect
+                }
+            });
+        }
+    });
+}());
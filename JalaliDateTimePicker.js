@@ -0,0 +1,181 @@
+/**
+ * @class Ext.ux.JalaliDateTimePicker
+ *
+ * <p>A Jalali date picker with hour and minute selection. The date part is an Ext.picker.Date with
+ * {@link Ext.ux.JalaliDatePlugin}, and the time part is shown below it. The select event is fired when OK button
+ * is clicked or Enter is pressed in time fields.
+ *
+ * <p>This is the picker of {@link Ext.ux.JalaliDateTimeField}, but it can be used alone too:
+ * <pre><code>
+ Ext.create('Ext.ux.JalaliDateTimePicker', {
+     renderTo: Ext.getBody(),
+     value: new Date(),
+     listeners: {
+         select: function (picker, value) {
+             console.log(Ext.Date.format(value, 'B/Q/R H:i'));
+         }
+     }
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliDateTimePicker', {
+        extend: 'Ext.panel.Panel',
+        alias: 'widget.jalalidatetimepicker',
+        requires: ['Ext.picker.Date', 'Ext.form.field.Number', 'Ext.ux.JalaliDatePlugin'],
+
+        bodyBorder: false,
+
+        /**
+         * @cfg {Date} value Initial date and time.
+         */
+        value: null,
+
+        /**
+         * @cfg {Number} minuteIncrement Step of minute field.
+         */
+        minuteIncrement: 1,
+
+        /**
+         * @cfg {Object} pickerConfig Configuration of the date picker, like minDate, maxDate, disabledDays
+         * and disabledDates.
+         */
+        pickerConfig: null,
+
+        /**
+         * @cfg {String} hourText Empty text of the hour field.
+         */
+        hourText: 'Hour',
+
+        /**
+         * @cfg {String} minuteText Empty text of the minute field.
+         */
+        minuteText: 'Minute',
+
+        nowText: 'Now',
+        okText: 'OK',
+
+        /**
+         * @event select
+         * Fires when date and time are selected.
+         * @param {Ext.ux.JalaliDateTimePicker} this
+         * @param {Date} value The selected date and time
+         */
+
+        initComponent: function () {
+            var me = this;
+
+            Ext.ux.JalaliDatePlugin.applyLocalization(me, Ext.ux.JalaliDatePlugin.localization.DateTimePicker);
+
+            me.datePicker = Ext.create('Ext.picker.Date', Ext.apply({
+                plugins: ['jalalidate'],
+                showToday: false,
+                hideOnSelect: false,
+                value: me.value ? Ext.Date.clearTime(me.value, true) : new Date()
+            }, me.pickerConfig));
+
+            me.hourField = Ext.create('Ext.form.field.Number', {
+                width: 55,
+                minValue: 0,
+                maxValue: 23,
+                allowDecimals: false,
+                emptyText: me.hourText,
+                listeners: {
+                    scope: me,
+                    specialkey: me.onTimeSpecialKey
+                }
+            });
+
+            me.minuteField = Ext.create('Ext.form.field.Number', {
+                width: 55,
+                minValue: 0,
+                maxValue: 59,
+                step: me.minuteIncrement,
+                allowDecimals: false,
+                emptyText: me.minuteText,
+                listeners: {
+                    scope: me,
+                    specialkey: me.onTimeSpecialKey
+                }
+            });
+
+            me.items = [me.datePicker];
+            me.bbar = [
+                me.hourField,
+                ':',
+                me.minuteField,
+                '->',
+                {text: me.nowText, handler: me.selectNow, scope: me},
+                {text: me.okText, handler: me.onOkClick, scope: me}
+            ];
+
+            me.callParent(arguments);
+
+            me.setTime(me.value || new Date());
+        },
+
+        /**
+         * Sets the date and time.
+         * @param {Date} value The date and time.
+         * @return {Ext.ux.JalaliDateTimePicker} this
+         */
+        setValue: function (value) {
+            var me = this;
+            me.value = value;
+            me.datePicker.setValue(Ext.Date.clearTime(value, true));
+            me.setTime(value);
+            return me;
+        },
+
+        /**
+         * Returns the selected date and time.
+         * @return {Date} The date of date picker, at the time of time fields.
+         */
+        getValue: function () {
+            var me = this,
+                value = Ext.Date.clearTime(me.datePicker.getValue(), true);
+            value.setHours(me.hourField.getValue() || 0, me.minuteField.getValue() || 0);
+            return value;
+        },
+
+        /**
+         * Sets time fields.
+         * @param {Date} value The time.
+         * @private
+         */
+        setTime: function (value) {
+            this.hourField.setValue(value.getHours());
+            this.minuteField.setValue(value.getMinutes());
+        },
+
+        /**
+         * Selects current date and time.
+         */
+        selectNow: function () {
+            this.setValue(new Date());
+            this.onOkClick();
+        },
+
+        /**
+         * Fires select event, if time fields are valid.
+         * @private
+         */
+        onOkClick: function () {
+            var me = this;
+            if (me.hourField.isValid() && me.minuteField.isValid()) {
+                me.value = me.getValue();
+                me.fireEvent('select', me, me.value);
+            }
+        },
+
+        /**
+         * Selects date and time when Enter is pressed in time fields.
+         * @private
+         */
+        onTimeSpecialKey: function (field, e) {
+            if (e.getKey() === e.ENTER) {
+                this.onOkClick();
+            }
+        }
+    });
+}());
@@ -0,0 +1,180 @@
+/**
+ * @class Ext.ux.JalaliHolidays
+ *
+ * <p>A registry of holidays in Jalali calendar. Official Iranian solar holidays are registered by default. Lunar
+ * holidays move each year, so they should be added for each year, like company-specific closures:
+ * <pre><code>
+ Ext.ux.JalaliHolidays.add([
+     {year: 1403, month: 0, day: 23, name: 'Eid al-Fitr'},
+     {year: 1403, month: 5, day: 8, name: 'Company retreat'},
+     {year: 1403, month: 6, day: 5, name: 'Make-up working day', holiday: false}
+ ]);
+ * </code></pre>
+ *
+ * <p>Each rule has a Jalali month (0-based) and day, and optionally a Jalali year. Rules without a year are
+ * repeated every year. Rules with holiday: false mark working days, even on Fridays. Rules of a year take precedence
+ * over repeated rules, and rules added later take precedence over earlier ones.
+ *
+ * <p>When this class is loaded, Jalali date pickers show holidays with their names. Set disableHolidays of
+ * pickers and date fields to true to make holidays unselectable, or showHolidays to false to ignore them.
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliHolidays', {
+        singleton: true,
+        requires: ['Ext.ux.JalaliDatePlugin'],
+
+        /**
+         * @property {Number[]} weekendDays Days of week that are not working days, 0-based (Sunday is 0).
+         */
+        weekendDays: [5],
+
+        /**
+         * @property {Object[]} holidays Registered rules. Use {@link #add} and {@link #remove} to change them.
+         */
+        holidays: [
+            {month: 0, day: 1, name: 'Nowruz'},
+            {month: 0, day: 2, name: 'Nowruz'},
+            {month: 0, day: 3, name: 'Nowruz'},
+            {month: 0, day: 4, name: 'Nowruz'},
+            {month: 0, day: 12, name: 'Islamic Republic Day'},
+            {month: 0, day: 13, name: 'Nature Day'},
+            {month: 2, day: 14, name: 'Death of Imam Khomeini'},
+            {month: 2, day: 15, name: 'Uprising of 15 Khordad'},
+            {month: 10, day: 22, name: 'Revolution Day'},
+            {month: 11, day: 29, name: 'Oil Nationalization Day'}
+        ],
+
+        /**
+         * Adds holiday or working day rules.
+         * @param {Object/Object[]} rules A rule or an array of rules, having month (0-based), day, and optionally
+         * year, name and holiday properties.
+         * @return {Ext.ux.JalaliHolidays} this
+         */
+        add: function (rules) {
+            this.holidays = this.holidays.concat(rules);
+            return this;
+        },
+
+        /**
+         * Removes all rules with a name.
+         * @param {String} name The name of rules.
+         * @return {Ext.ux.JalaliHolidays} this
+         */
+        remove: function (name) {
+            this.holidays = Ext.Array.filter(this.holidays, function (rule) {
+                return rule.name !== name;
+            });
+            return this;
+        },
+
+        /**
+         * Returns the rule of a date.
+         * @param {Date} date The date.
+         * @return {Object} The rule of the date, or null if no rule is registered for it.
+         */
+        getHoliday: function (date) {
+            var jd = Ext.Date.convertToJalali(date),
+                holidays = this.holidays,
+                result = null,
+                rule,
+                i;
+
+            for (i = holidays.length - 1; i >= 0; i -= 1) {
+                rule = holidays[i];
+                if (rule.month === jd.jalaliMonth && rule.day === jd.jalaliDate) {
+                    if (rule.year === jd.jalaliYear) {
+                        return rule;
+                    }
+                    if (rule.year === undefined && !result) {
+                        result = rule;
+                    }
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Checks if a date is a registered holiday. Weekends are not holidays unless they are registered.
+         * @param {Date} date The date.
+         * @return {Boolean} True if the date is a holiday.
+         */
+        isHoliday: function (date) {
+            var rule = this.getHoliday(date);
+            return !!rule && rule.holiday !== false;
+        },
+
+        /**
+         * Returns the name of a holiday, localized with Ext.ux.JalaliDatePlugin.localization.Holidays, or with
+         * Holidays of a locale of Ext.ux.JalaliDateLocales.
+         * @param {Date} date The date.
+         * @param {String} locale (optional) Name of the locale.
+         * @return {String} The name of the holiday, or null if the date is not a holiday.
+         */
+        getHolidayName: function (date, locale) {
+            var rule = this.getHoliday(date),
+                names = (locale ? Ext.ux.JalaliDateLocales.get(locale).Holidays :
+                        Ext.ux.JalaliDatePlugin.localization.Holidays) || {};
+            if (!rule || rule.holiday === false) {
+                return null;
+            }
+            return names[rule.name] || rule.name || '';
+        },
+
+        /**
+         * Checks if a date is a working day, which is neither a holiday nor a weekend day.
+         * @param {Date} date The date.
+         * @return {Boolean} True if the date is a working day.
+         */
+        isBusinessDay: function (date) {
+            var rule = this.getHoliday(date);
+            if (rule) {
+                return rule.holiday === false;
+            }
+            return Ext.Array.indexOf(this.weekendDays, date.getDay()) === -1;
+        },
+
+        /**
+         * Adds working days to a date. Holidays and weekend days are skipped.
+         * @param {Date} date Starting date.
+         * @param {Number} value Number of working days to add, negative to go back.
+         * @return {Date} The new Date instance.
+         */
+        addBusinessDays: function (date, value) {
+            var step = value < 0 ? -1 : 1,
+                count = Math.abs(value);
+
+            while (count > 0) {
+                date = Ext.Date.addJalali(date, Ext.Date.DAY, step);
+                if (this.isBusinessDay(date)) {
+                    count -= 1;
+                }
+            }
+            return new Date(date.getTime());
+        },
+
+        /**
+         * Returns the number of working days between two dates, both included.
+         * @param {Date} start The start date.
+         * @param {Date} end The end date.
+         * @return {Number} The number of working days.
+         */
+        getBusinessDays: function (start, end) {
+            var count = 0,
+                date = Ext.Date.clearTime(start, true),
+                max = Ext.Date.clearTime(end, true);
+
+            while (date <= max) {
+                if (this.isBusinessDay(date)) {
+                    count += 1;
+                }
+                date = Ext.Date.addJalali(date, Ext.Date.DAY, 1);
+            }
+            return count;
+        }
+    }, function () {
+        Ext.util.CSS.createStyleSheet(
+            '.' + Ext.baseCSSPrefix + 'jalali-holiday .' + Ext.baseCSSPrefix + 'datepicker-date { color: #c00; }',
+            'ext-ux-jalali-holidays'
+        );
+    });
+}());
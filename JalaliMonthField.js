@@ -0,0 +1,202 @@
+/**
+ * @class Ext.ux.JalaliMonthField
+ *
+ * <p>A field for choosing a Jalali month. Its picker shows Jalali month names and pages of Jalali years, and typed
+ * values like "1402/05", "Mordad 1402" or "مرداد ۱۴۰۲" are accepted. The value is the first Gregorian date of the
+ * chosen month, or the last one when valueAt is 'last':
+ * <pre><code>
+ Ext.create('Ext.ux.JalaliMonthField', {
+     renderTo: Ext.getBody(),
+     fieldLabel: 'Report month',
+     minValue: Ext.Date.createJalali(1400, 0, 1),
+     valueAt: 'last'
+ });
+ * </code></pre>
+ *
+ * <p>minValue and maxValue are compared by month: any date of a month allows the whole month. Months out of range
+ * are shown as invalid when typed, and are clamped to the range when picked. Set rightToLeft to true (the fa_IR
+ * localization does) to mirror the field and its picker.
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliMonthField', {
+        extend: 'Ext.form.field.Date',
+        alias: 'widget.jalalimonthfield',
+        requires: ['Ext.picker.Month', 'Ext.ux.JalaliDatePlugin'],
+
+        format: 'e B',
+        altFormats: 'B/Q|B/q|B-Q|B-q|f B|Q/B|q/B',
+
+        /**
+         * @cfg {String} valueAt 'first' (default) or 'last': the value is the first or last date of the chosen
+         * period.
+         */
+        valueAt: 'first',
+
+        /**
+         * @property {String} period The period chosen by this field, 'month' or 'year'.
+         * @private
+         */
+        period: 'month',
+
+        /**
+         * @property {String} localizationKey Key of {@link Ext.ux.JalaliDatePlugin#localization} applied to this
+         * field.
+         * @private
+         */
+        localizationKey: 'MonthField',
+
+        initComponent: function () {
+            var me = this;
+
+            Ext.ux.JalaliDatePlugin.applyLocalization(me, Ext.ux.JalaliDatePlugin.localization[me.localizationKey]);
+            if (me.rightToLeft) {
+                me.cls = [me.cls, Ext.ux.JalaliDatePlugin.rtlCls].join(' ');
+                me.pickerAlign = 'tr-br?';
+            }
+            me.callParent(arguments);
+            me.minValue = me.toPeriodDate(me.parseDate(me.minValue), 'first');
+            me.maxValue = me.toPeriodDate(me.parseDate(me.maxValue), 'last');
+        },
+
+        /**
+         * Returns the first or last date of the Jalali month (or year) of a date, at midnight.
+         * @param {Date} date The date.
+         * @param {String} at (optional) 'first' or 'last'. Defaults to {@link #valueAt}.
+         * @return {Date} The date, or null if no date is given.
+         */
+        toPeriodDate: function (date, at) {
+            var eDate = Ext.Date,
+                last = (at || this.valueAt) === 'last',
+                result;
+
+            if (!date) {
+                return null;
+            }
+            if (this.period === 'year') {
+                result = last ? eDate.getJalaliLastDateOfYear(date) : eDate.getJalaliFirstDateOfYear(date);
+            } else {
+                result = last ? eDate.getJalaliLastDateOfMonth(date) : eDate.getJalaliFirstDateOfMonth(date);
+            }
+            return eDate.clearTime(result);
+        },
+
+        /**
+         * Parses a value with a format, and returns the first or last date of its period. Persian and Arabic-Indic
+         * digits are accepted. The value is parsed at the first day of its month, because formats of months have no
+         * day, and today's day may not be in the month.
+         * @param {String} value The value to attempt to parse.
+         * @param {String} format A valid date format (see {@link Ext.Date#parse}).
+         * @return {Date} The parsed date, or null if the value could not be successfully parsed.
+         * @private
+         */
+        safeParse: function (value, format) {
+            var date = Ext.Date.parse('1 ' + Ext.Date.normalizeJalaliDigits(value), 'r ' + format, this.useStrict);
+            return this.toPeriodDate(date);
+        },
+
+        /**
+         * Sets the value. Dates are moved to the first or last date of their period.
+         * @param {Date/String} value The date or a string to parse.
+         * @return {Ext.ux.JalaliMonthField} this
+         */
+        setValue: function (value) {
+            return this.callParent([Ext.isDate(value) ? this.toPeriodDate(value) : value]);
+        },
+
+        /**
+         * Replaces the minimum allowed value. Any date of the first allowed period may be given.
+         * @param {Date/String} value The minimum date.
+         */
+        setMinValue: function (value) {
+            this.minValue = this.toPeriodDate(Ext.isString(value) ? this.parseDate(value) : value, 'first');
+        },
+
+        /**
+         * Replaces the maximum allowed value. Any date of the last allowed period may be given.
+         * @param {Date/String} value The maximum date.
+         */
+        setMaxValue: function (value) {
+            this.maxValue = this.toPeriodDate(Ext.isString(value) ? this.parseDate(value) : value, 'last');
+        },
+
+        createPicker: function () {
+            var me = this;
+
+            return Ext.create('Ext.picker.Month', Ext.copyTo({
+                pickerField: me,
+                ownerCt: me.ownerCt,
+                renderTo: Ext.getBody(),
+                floating: true,
+                hidden: true,
+                focusOnShow: true,
+                cls: [
+                    me.period === 'year' ? Ext.baseCSSPrefix + 'jalali-yearpicker' : '',
+                    me.rightToLeft ? Ext.ux.JalaliDatePlugin.rtlCls : ''
+                ].join(' '),
+                listeners: {
+                    scope: me,
+                    afterrender: me.onPickerRender,
+                    okclick: me.onPickerOk,
+                    monthdblclick: me.onPickerOk,
+                    yeardblclick: me.onPickerOk,
+                    cancelclick: me.collapse
+                }
+            }, me, 'okText,cancelText'));
+        },
+
+        /**
+         * Replaces Gregorian month names of the picker with Jalali names.
+         * @private
+         */
+        onPickerRender: function (picker) {
+            var monthNames = Ext.Date.jalaliMonthNames;
+            picker.months.each(function (m, a, i) {
+                m.update(monthNames[picker.resolveOffset(i, 6)]);
+            });
+        },
+
+        /**
+         * Sets the value to the chosen month (or year) of the picker, within minValue and maxValue.
+         * @private
+         */
+        onPickerOk: function (picker) {
+            var me = this,
+                value = picker.getValue(),
+                year = value[1],
+                month = me.period === 'year' ? 0 : (value[0] || 0),
+                date;
+
+            if (year === null || year === undefined) {
+                return;
+            }
+            date = me.toPeriodDate(Ext.Date.createJalali(year, month, 1));
+            if (me.minValue && date < me.minValue) {
+                date = me.toPeriodDate(me.minValue);
+            } else if (me.maxValue && date > me.maxValue) {
+                date = me.toPeriodDate(me.maxValue);
+            }
+            me.setValue(date);
+            me.fireEvent('select', me, date);
+            me.collapse();
+        },
+
+        /**
+         * Shows the Jalali month and year of the value (or today) in the picker.
+         * @private
+         */
+        onExpand: function () {
+            var value = this.getValue(),
+                date = Ext.isDate(value) ? value : new Date();
+
+            this.picker.setValue([Ext.Date.getJalaliMonth(date), Ext.Date.getJalaliFullYear(date)]);
+        }
+    }, function () {
+        var yearPicker = '.' + Ext.baseCSSPrefix + 'jalali-yearpicker .' + Ext.baseCSSPrefix;
+
+        Ext.util.CSS.createStyleSheet(
+            yearPicker + 'monthpicker-months {display:none}' +
+                yearPicker + 'monthpicker-years {float:none;margin:0 auto}',
+            'ext-ux-jalali-month-field'
+        );
+    });
+}());
@@ -0,0 +1,25 @@
+/**
+ * @class Ext.ux.JalaliYearField
+ *
+ * <p>A field for choosing a Jalali year, like {@link Ext.ux.JalaliMonthField}. Its picker shows pages of Jalali
+ * years only, and typed values like "1402" or "۱۴۰۲" are accepted. The value is the first Gregorian date of the
+ * chosen year, or the last one when valueAt is 'last':
+ * <pre><code>
+ Ext.create('Ext.ux.JalaliYearField', {
+     renderTo: Ext.getBody(),
+     fieldLabel: 'Fiscal year',
+     maxValue: new Date()
+ });
+ * </code></pre>
+ */
+(function () {
+    Ext.define('Ext.ux.JalaliYearField', {
+        extend: 'Ext.ux.JalaliMonthField',
+        alias: 'widget.jalaliyearfield',
+
+        format: 'B',
+        altFormats: 'b',
+        period: 'year',
+        localizationKey: 'YearField'
+    });
+}());
@@ -0,0 +1,236 @@
+/**
+ * Headless tests of JalaliCore.js. Every day from converter.minYear to converter.maxYear is converted to Gregorian
+ * and back with each algorithm of the converter, and validation, formatting and parsing are checked against it.
+ * Arithmetic, time zones, weeks, seasons, relative texts, shorthand and two-digit years are checked with known
+ * dates. JalaliCore.mjs is checked to be the current ES module build of JalaliCore.js. Run with "npm test".
+ */
+'use strict';
+
+var assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    buildEsm = require('../tools/build-esm.js'),
+    core = require('../JalaliCore.js'),
+    converter = core.converter,
+    DAY_MS = 86400000;
+
+/**
+ * Returns the date of a Jalali date, with a 1-based month.
+ */
+function jalali(y, m, d) {
+    return core.fromJalali(y, m - 1, d);
+}
+
+/**
+ * Returns a date as a Jalali string like "1402/05/03", or the value itself if it is not a date.
+ */
+function toText(date) {
+    return date instanceof Date ? core.format(date, 'B/Q/R') : date;
+}
+
+function checkAlgorithm(name) {
+    var previous = null,
+        days = 0,
+        y, m, d, valid, date, jd, text, parsed;
+
+    converter.algorithm = name;
+    for (y = converter.minYear; y <= converter.maxYear; y += 1) {
+        for (m = 1; m <= 12; m += 1) {
+            for (d = 1; d <= 31; d += 1) {
+                valid = core.isValid(y, m, d);
+                text = y + '/' + (m < 10 ? '0' : '') + m + '/' + (d < 10 ? '0' : '') + d;
+                parsed = core.parse(text, 'Jalali', true);
+                if (!valid) {
+                    assert.strictEqual(parsed, null, name + ': ' + text + ' is invalid but parsed');
+                    continue;
+                }
+
+                date = core.fromJalali(y, m - 1, d);
+                jd = core.toJalali(date);
+                assert.deepStrictEqual([jd.jalaliYear, jd.jalaliMonth, jd.jalaliDate], [y, m - 1, d],
+                    name + ': round trip of ' + text);
+                if (previous) {
+                    assert.strictEqual(Math.round((date - previous) / DAY_MS), 1, name + ': ' + text +
+                        ' does not follow the previous day');
+                }
+                previous = date;
+                days += 1;
+
+                assert.strictEqual(core.format(date, 'Jalali'), text, name + ': Jalali format of ' + text);
+                assert.ok(parsed, name + ': ' + text + ' is valid but not parsed');
+                assert.strictEqual(parsed.getTime(), date.getTime(), name + ': Jalali parse of ' + text);
+                if (y >= 100) {
+                    assert.strictEqual(core.parse(core.format(date, 'B/Q/R'), 'B/Q/R', true).getTime(),
+                        date.getTime(), name + ': B/Q/R format and parse of ' + text);
+                }
+            }
+            assert.strictEqual(core.isValid(y, m, core.getDaysInMonth(core.fromJalali(y, m - 1, 1)) + 1), false,
+                name + ': day after the last day of ' + y + '/' + m);
+        }
+        assert.strictEqual(core.isLeapYear(y), core.isValid(y, 12, 30), name + ': leap year ' + y);
+    }
+    return days;
+}
+
+var checks = {
+    arithmetic: function () {
+        assert.strictEqual(toText(core.add(jalali(1402, 6, 31), core.MONTH, 1)), '1402/07/30');
+        assert.strictEqual(toText(core.add(jalali(1402, 7, 30), core.MONTH, -1)), '1402/06/30');
+        assert.strictEqual(toText(core.add(jalali(1402, 11, 30), core.MONTH, 1)), '1402/12/29');
+        assert.strictEqual(toText(core.add(jalali(1402, 1, 1), core.MONTH, -13)), '1400/12/01');
+        assert.strictEqual(toText(core.add(jalali(1402, 3, 31), core.QUARTER, 1)), '1402/06/31');
+        assert.strictEqual(toText(core.add(jalali(1403, 12, 30), core.YEAR, 1)), '1404/12/29');
+        assert.strictEqual(toText(core.add(jalali(1402, 12, 25), core.WEEK, 1)), '1403/01/03');
+
+        assert.deepStrictEqual(core.diff(jalali(1402, 6, 31), jalali(1402, 7, 30)), {years: 0, months: 1, days: 0});
+        assert.strictEqual(core.diff(jalali(1402, 7, 30), jalali(1402, 6, 31), core.MONTH), -1);
+        assert.deepStrictEqual(core.diff(jalali(1380, 5, 10), jalali(1402, 5, 9)), {years: 21, months: 11, days: 30});
+        assert.strictEqual(core.diff(jalali(1402, 1, 1), jalali(1403, 1, 1), core.DAY), 365);
+        assert.strictEqual(core.diff(jalali(1402, 1, 1), jalali(1402, 1, 15), core.WEEK), 2);
+        assert.strictEqual(core.diff(jalali(1402, 1, 1), jalali(1402, 7, 1), core.QUARTER), 2);
+        assert.strictEqual(core.diff(jalali(1402, 5, 9), jalali(1380, 5, 10), core.YEAR), -21);
+    },
+
+    timeZones: function () {
+        var beforeDst = new Date('2022-03-21T06:30:00Z'),
+            newYear = new Date('2023-03-20T22:00:00Z');
+
+        assert.deepStrictEqual(core.toJalali(newYear, 210), {jalaliYear: 1402, jalaliMonth: 0, jalaliDate: 1});
+        assert.deepStrictEqual(core.toJalali(newYear, 0), {jalaliYear: 1401, jalaliMonth: 11, jalaliDate: 29});
+        assert.strictEqual(core.fromJalali(1402, 0, 1, 0).toISOString(), '2023-03-21T12:00:00.000Z');
+        assert.strictEqual(core.fromJalali(1402, 0, 1, 'Asia/Tehran').toISOString(), '2023-03-21T08:30:00.000Z');
+        assert.strictEqual(core.fromJalali(1400, 6, 1, 'Asia/Tehran').toISOString(), '2021-09-23T08:30:00.000Z');
+        // 10:00 is kept over the start and the end of daylight saving time in Tehran
+        assert.strictEqual(core.add(beforeDst, core.DAY, 1, 'Asia/Tehran').toISOString(), '2022-03-22T05:30:00.000Z');
+        assert.strictEqual(core.add(beforeDst, core.DAY, 1, 210).toISOString(), '2022-03-22T06:30:00.000Z');
+        assert.strictEqual(core.add(new Date('2022-09-21T06:30:00Z'), core.MONTH, 1, 'Asia/Tehran').toISOString(),
+            '2022-10-22T07:30:00.000Z');
+    },
+
+    weeksAndSeasons: function () {
+        // 1 Farvardin 1402 is a Tuesday
+        assert.strictEqual(core.getWeekOfYear(jalali(1402, 1, 4)), 1);
+        assert.strictEqual(core.getWeekOfYear(jalali(1402, 1, 5)), 2);
+        assert.strictEqual(core.getWeekOfYear(jalali(1402, 12, 29)), 53);
+        assert.strictEqual(core.format(jalali(1402, 1, 5), 'V'), '02');
+        assert.strictEqual(toText(core.getFirstDateOfWeek(jalali(1402, 1, 1))), '1401/12/27');
+        assert.strictEqual(toText(core.getFirstDateOfWeek(jalali(1402, 1, 1), 1)), '1401/12/29');
+        assert.strictEqual(toText(core.getLastDateOfWeek(jalali(1402, 1, 1), 6)), '1402/01/04');
+
+        assert.strictEqual(core.getSeason(jalali(1402, 4, 3)), 1);
+        assert.strictEqual(toText(core.getFirstDateOfSeason(jalali(1402, 5, 20))), '1402/04/01');
+        assert.strictEqual(toText(core.getLastDateOfSeason(jalali(1402, 5, 20))), '1402/06/31');
+        assert.strictEqual(toText(core.getLastDateOfSeason(jalali(1402, 11, 1))), '1402/12/29');
+        assert.strictEqual(toText(core.getLastDateOfSeason(jalali(1403, 11, 1))), '1403/12/30');
+        assert.strictEqual(toText(core.getFirstDateOfMonth(jalali(1402, 8, 15))), '1402/08/01');
+        assert.strictEqual(toText(core.getLastDateOfMonth(jalali(1402, 8, 15))), '1402/08/30');
+        assert.strictEqual(toText(core.getLastDateOfYear(jalali(1403, 5, 5))), '1403/12/30');
+        assert.strictEqual(core.getDaysInYear(jalali(1403, 1, 1)), 366);
+        assert.strictEqual(core.getDaysInMonth(jalali(1402, 12, 1)), 29);
+        assert.strictEqual(core.getDayOfYear(jalali(1402, 7, 1)), 186);
+        assert.strictEqual(core.isSameMonth(jalali(1402, 7, 1), jalali(1402, 7, 30)), true);
+        assert.strictEqual(core.isSameMonth(jalali(1402, 7, 1), jalali(1401, 7, 1)), false);
+        assert.strictEqual(core.isSameYear(jalali(1402, 1, 1), jalali(1402, 12, 29)), true);
+    },
+
+    relative: function () {
+        var now = jalali(1402, 7, 30);
+
+        assert.strictEqual(core.relative(jalali(1402, 7, 30), now), 'today');
+        assert.strictEqual(core.relative(jalali(1402, 7, 29), now), 'yesterday');
+        assert.strictEqual(core.relative(jalali(1402, 8, 1), now), 'tomorrow');
+        assert.strictEqual(core.relative(jalali(1402, 7, 27), now), '3 days ago');
+        assert.strictEqual(core.relative(jalali(1402, 7, 15), jalali(1402, 7, 1)), 'in 2 weeks');
+        // weeks are calendar weeks: 7 Mehr 1402 is a Friday and 15 Mehr is the Saturday of two weeks later
+        assert.strictEqual(core.relative(jalali(1402, 7, 15), jalali(1402, 7, 7)), 'in 2 weeks');
+        assert.strictEqual(core.relative(jalali(1402, 7, 7), jalali(1402, 7, 15)), '2 weeks ago');
+        assert.strictEqual(core.relative(jalali(1402, 7, 20), jalali(1402, 7, 8)), 'next week');
+        assert.strictEqual(core.relative(jalali(1402, 7, 15), jalali(1402, 7, 7), {startDay: 5}), 'next week');
+        assert.strictEqual(core.relative(jalali(1402, 6, 31), now), 'last month');
+        assert.strictEqual(core.relative(jalali(1402, 9, 30), now), 'in 2 months');
+        assert.strictEqual(core.relative(jalali(1401, 7, 30), now), 'last year');
+        assert.strictEqual(core.relative(jalali(1399, 1, 1), now), '3 years ago');
+        assert.strictEqual(core.relative(jalali(1402, 7, 27), null, {now: now}), '3 days ago');
+        assert.strictEqual(core.relative(jalali(1402, 7, 27), now, {digits: 'persian'}), '۳ days ago');
+    },
+
+    shorthand: function () {
+        var options = {now: jalali(1402, 7, 26)},
+            expected = {
+                '+3': '1402/07/29',
+                ' + 3 d': '1402/07/29',
+                '-2w': '1402/07/12',
+                '+1m': '1402/08/26',
+                '-1y': '1401/07/26',
+                'today': '1402/07/26',
+                'Yesterday': '1402/07/25',
+                'tomorrow': '1402/07/27',
+                '14020503': '1402/05/03',
+                '۱۴۰۲۰۵۰۳': '1402/05/03',
+                '020503': '1402/05/03',
+                '600503': '1360/05/03',
+                'junk': null
+            };
+
+        Object.keys(expected).forEach(function (input) {
+            assert.strictEqual(toText(core.parseShorthand(input, true, options)), expected[input],
+                    'shorthand ' + input);
+        });
+        assert.strictEqual(core.parseShorthand('14021230', true, options), null);
+        assert.strictEqual(toText(core.parseShorthand('14021230', false, options)), '1403/01/01');
+    },
+
+    twoDigitYears: function () {
+        var options = {now: jalali(1402, 7, 26)},
+            noFuture = {now: options.now, twoDigitYearPivot: 0};
+
+        // with the default pivot of 20, two-digit years are within 1323 to 1422
+        assert.strictEqual(toText(core.parse('02/05/03', 'b/Q/R', true, options)), '1402/05/03');
+        assert.strictEqual(toText(core.parse('22/05/03', 'b/Q/R', true, options)), '1422/05/03');
+        assert.strictEqual(toText(core.parse('23/05/03', 'b/Q/R', true, options)), '1323/05/03');
+        assert.strictEqual(toText(core.parse('02/05/03', 'b/Q/R', true, noFuture)), '1402/05/03');
+        assert.strictEqual(toText(core.parse('03/05/03', 'b/Q/R', true, noFuture)), '1303/05/03');
+        assert.strictEqual(core.format(jalali(1402, 5, 3), 'b'), '02');
+    },
+
+    partialFormats: function () {
+        var options = {now: jalali(1405, 7, 26)};
+
+        // missing parts are taken from the current date
+        assert.strictEqual(toText(core.parse('1402', 'B', true, options)), '1402/07/26');
+        assert.strictEqual(toText(core.parse('1402/05', 'B/Q', true, options)), '1402/05/26');
+        assert.strictEqual(toText(core.parse('5/3', 'q/r', true, options)), '1405/05/03');
+        assert.strictEqual(toText(core.parse('3', 'r', true, options)), '1405/07/03');
+        assert.strictEqual(core.parse('1402/07', 'B/Q', true, {now: jalali(1405, 6, 31)}), null);
+    }
+};
+
+Object.keys(checks).forEach(function (name) {
+    checks[name]();
+    console.log('ok ' + name);
+});
+
+Object.keys(converter.algorithms).forEach(function (name) {
+    var algorithm = converter.algorithm,
+        days;
+    try {
+        days = checkAlgorithm(name);
+    } finally {
+        converter.algorithm = algorithm;
+    }
+    console.log('ok ' + name + ': ' + days + ' days of years ' + converter.minYear + ' to ' + converter.maxYear);
+});
+
+assert.strictEqual(fs.readFileSync(path.join(__dirname, '..', 'JalaliCore.mjs'), 'utf8'), buildEsm(),
+    'JalaliCore.mjs is out of date, run "npm run build"');
+import('../JalaliCore.mjs').then(function (esm) {
+    var date = esm.fromJalali(1402, 4, 3);
+    assert.strictEqual(esm.format(date, 'r e B'), '3 Amordad 1402');
+    assert.strictEqual(esm.parse('1402/05/03', 'B/Q/R').getTime(), date.getTime());
+    assert.strictEqual(esm.parse(esm.format(date, 'B/Q/R V'), 'B/Q/R V').getTime(), date.getTime());
+    assert.deepStrictEqual(Object.keys(esm.default), Object.keys(core));
+    console.log('ok JalaliCore.mjs');
+}).catch(function (e) {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+/**
+ * Builds JalaliCore.mjs, the ES module build of JalaliCore.js, from the factory of its UMD wrapper. The module has
+ * no dependency on CommonJS interop, so it can be imported natively by browsers too. JalaliCore.mjs is not kept in
+ * git: "npm run build" writes it, and npm runs the build before "npm test" and when the package is installed from
+ * git or packed.
+ *
+ * <pre><code>
+ node tools/build-esm.js            // writes JalaliCore.mjs
+ node tools/build-esm.js --check    // fails if JalaliCore.mjs is missing or out of date, without writing it
+ node tools/build-esm.js --stdout   // prints the module instead of writing it
+ * </code></pre>
+ */
+'use strict';
+
+var fs = require('fs'),
+    path = require('path'),
+    source = path.join(__dirname, '..', 'JalaliCore.js'),
+    target = path.join(__dirname, '..', 'JalaliCore.mjs'),
+    start = '}(typeof self !== \'undefined\' ? self : this, function () {\n',
+    end = '}));\n';
+
+/**
+ * Returns the ES module source of JalaliCore.js.
+ * @return {String} The source.
+ */
+function build() {
+    var text = fs.readFileSync(source, 'utf8'),
+        from = text.indexOf(start),
+        to = text.lastIndexOf(end),
+        core = require(source),
+        names = Object.keys(core);
+
+    if (from === -1 || to === -1 || to < from) {
+        throw new Error('Factory of the UMD wrapper is not found in ' + source);
+    }
+    return [
+        text.slice(0, text.indexOf('*/') + 2),
+        '',
+        '/*',
+        ' * ES module build of JalaliCore.js, generated by tools/build-esm.js. Do not edit; edit JalaliCore.js and run',
+        ' * "npm run build".',
+        ' *',
+        ' * <pre><code>',
+        ' import {fromJalali, format} from \'./JalaliCore.mjs\';',
+        ' console.log(format(fromJalali(1402, 4, 3), \'r e B\')); // 3 Amordad 1402',
+        ' * </code></pre>',
+        ' */',
+        'const core = (function () {',
+        text.slice(from + start.length, to) + '}());',
+        '',
+        'export default core;',
+        ''
+    ].concat(names.map(function (name) {
+        return 'export const ' + name + ' = core.' + name + ';';
+    })).join('\n') + '\n';
+}
+
+/**
+ * Runs the build from the command line.
+ * @param {String[]} args The arguments: nothing, --check or --stdout.
+ * @return {Number} The exit code.
+ */
+function main(args) {
+    var text;
+
+    if (args.length > 1 || (args.length === 1 && args[0] !== '--check' && args[0] !== '--stdout')) {
+        console.error('Usage: node tools/build-esm.js [--check | --stdout]');
+        return 2;
+    }
+    text = build();
+    if (args[0] === '--stdout') {
+        process.stdout.write(text);
+    } else if (args[0] === '--check') {
+        if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== text) {
+            console.error(target + ' is out of date, run "npm run build"');
+            return 1;
+        }
+        console.log(target + ' is up to date');
+    } else {
+        fs.writeFileSync(target, text);
+        console.log('Built ' + target);
+    }
+    return 0;
+}
+
+module.exports = build;
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}